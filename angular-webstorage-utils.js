@@ -1,4 +1,3 @@
-
 /**
  * Extended utility methods for the AngularJS WebStorage service.
  *
@@ -8,8 +7,18 @@
  * - length(key)         -- return the length of the specified web storage array
  * - pop(key)            -- removes the last element of an array, and returns that element
  * - push(key, value)    -- adds a new element to the end of an array, and returns the new length
+ * - push(key, value, opts) -- same as above, where `opts.maxLength` caps the length by removing the first elements
  * - shift(key)          -- Removes the first element of an array, and returns that element
  * - unshift(key, value) -- adds a new element to the beginning of an array, and returns the new length
+ * - splice(key, start, deleteCount, items...) -- removes and/or inserts elements, and returns the removed elements
+ * - at(key, index)      -- returns the element at the given index, counting from the end if negative
+ * - indexOf(key, value) -- returns the index of the first element equal to `value`, or -1
+ * - includes(key, value) -- checks if the array holds an element equal to `value`
+ * - find(key, fn)       -- returns the first element for which `fn(element, index)` is truthy
+ * - filter(key, fn)     -- returns the elements for which `fn(element, index)` is truthy
+ * - removeWhere(key, fn) -- removes the elements for which `fn(element, index)` is truthy, and returns their number
+ * - updateWhere(key, fn, update) -- replaces the elements for which `fn` is truthy with `update(element, index)`, and returns their number
+ * - clear(key)          -- removes the whole array
  *
  * It also provides the following direct APIs:
  *
@@ -17,22 +26,93 @@
  * - length(key)         -- return the length of the specified web storage array
  * - pop(key)            -- removes the last element of an array, and returns that element
  * - push(key, value)    -- adds a new element to the end of an array, and returns the new length
+ * - push(key, value, opts) -- same as above, where `opts.maxLength` caps the length by removing the first elements
  * - shift(key)          -- Removes the first element of an array, and returns that element
  * - unshift(key, value) -- adds a new element to the beginning of an array, and returns the new length
+ * - splice(key, start, deleteCount, items...) -- removes and/or inserts elements, and returns the removed elements
+ * - at(key, index)      -- returns the element at the given index, counting from the end if negative
+ * - indexOf(key, value) -- returns the index of the first element equal to `value`, or -1
+ * - includes(key, value) -- checks if the array holds an element equal to `value`
+ * - find(key, fn)       -- returns the first element for which `fn(element, index)` is truthy
+ * - filter(key, fn)     -- returns the elements for which `fn(element, index)` is truthy
+ * - removeWhere(key, fn) -- removes the elements for which `fn(element, index)` is truthy, and returns their number
+ * - updateWhere(key, fn, update) -- replaces the elements for which `fn` is truthy with `update(element, index)`, and returns their number
+ * - clear(key)          -- removes the whole array
  *
  * webStorage.session.array
  * - length(key)         -- return the length of the specified web storage array
  * - pop(key)            -- removes the last element of an array, and returns that element
  * - push(key, value)    -- adds a new element to the end of an array, and returns the new length
+ * - push(key, value, opts) -- same as above, where `opts.maxLength` caps the length by removing the first elements
  * - shift(key)          -- Removes the first element of an array, and returns that element
  * - unshift(key, value) -- adds a new element to the beginning of an array, and returns the new length
+ * - splice(key, start, deleteCount, items...) -- removes and/or inserts elements, and returns the removed elements
+ * - at(key, index)      -- returns the element at the given index, counting from the end if negative
+ * - indexOf(key, value) -- returns the index of the first element equal to `value`, or -1
+ * - includes(key, value) -- checks if the array holds an element equal to `value`
+ * - find(key, fn)       -- returns the first element for which `fn(element, index)` is truthy
+ * - filter(key, fn)     -- returns the elements for which `fn(element, index)` is truthy
+ * - removeWhere(key, fn) -- removes the elements for which `fn(element, index)` is truthy, and returns their number
+ * - updateWhere(key, fn, update) -- replaces the elements for which `fn` is truthy with `update(element, index)`, and returns their number
+ * - clear(key)          -- removes the whole array
  *
  * webStorage.memory.array
  * - length(key)         -- return the length of the specified web storage array
  * - pop(key)            -- removes the last element of an array, and returns that element
  * - push(key, value)    -- adds a new element to the end of an array, and returns the new length
+ * - push(key, value, opts) -- same as above, where `opts.maxLength` caps the length by removing the first elements
  * - shift(key)          -- Removes the first element of an array, and returns that element
  * - unshift(key, value) -- adds a new element to the beginning of an array, and returns the new length
+ * - splice(key, start, deleteCount, items...) -- removes and/or inserts elements, and returns the removed elements
+ * - at(key, index)      -- returns the element at the given index, counting from the end if negative
+ * - indexOf(key, value) -- returns the index of the first element equal to `value`, or -1
+ * - includes(key, value) -- checks if the array holds an element equal to `value`
+ * - find(key, fn)       -- returns the first element for which `fn(element, index)` is truthy
+ * - filter(key, fn)     -- returns the elements for which `fn(element, index)` is truthy
+ * - removeWhere(key, fn) -- removes the elements for which `fn(element, index)` is truthy, and returns their number
+ * - updateWhere(key, fn, update) -- replaces the elements for which `fn` is truthy with `update(element, index)`, and returns their number
+ * - clear(key)          -- removes the whole array
+ *
+ * webStorage.object
+ * - getPath(key, path, default) -- returns the value at the given path (e.g. 'a.b.c') of an object, or `default`
+ * - setPath(key, path, value) -- sets the value at the given path of an object, creating the objects along the path
+ * - deletePath(key, path) -- deletes the value at the given path of an object
+ * - merge(key, partial) -- deep merges the given object into an object
+ * - patch(key, ops)     -- applies the given JSON Patch (RFC 6902) operations to a value, all or none of them
+ *
+ * The `object` methods that write return true on success and false on failure,
+ * just like `set()`. Paths are either dot-separated strings or arrays of property
+ * names, while JSON Patch operations use JSON Pointers (e.g. '/a/b/c'.)
+ *
+ * The same `array` and `object` APIs are added to `webStorage.local`,
+ * `webStorage.session`, `webStorage.memory` and `webStorage.cookie`, to every
+ * storage engine registered via `webStorage.registerEngine()` and to every
+ * encrypted API created via `webStorage.encrypt()`, but not to asynchronous
+ * engines such as `webStorage.idb`. E.g. `webStorage.local.object.getPath()`.
+ *
+ * The array and object methods write via the engine's `set` and `remove`, so their
+ * changes are broadcast just like any other (see `webStorage.changeEventName()`.)
+ * Elements are compared by `angular.equals()`, and the methods that write
+ * return false if the array couldn't be stored.
+ *
+ * It also provides the `webStorageQueue` service, which keeps the `$http`
+ * requests that can't be sent (since the client is offline, or the network or
+ * the server failed) in local storage, and replays them in order once the
+ * client is back online. Failed replays are retried after a delay that is
+ * doubled for every attempt, until the request has been attempted `maxAttempts`
+ * times, or the server rejected it (with a 4xx status), after which it's moved
+ * to the dead letters:
+ *
+ * webStorageQueue
+ * - send(config)        -- send a request via `$http`, queueing it if it can't be sent, returns a promise
+ * - enqueue(config)     -- queue a request for replay, and returns the new length of the queue
+ * - replay()            -- replay the queued requests in order, returns a promise of the number of replayed requests
+ * - length()            -- returns the number of queued requests
+ * - requests()          -- returns the queued requests
+ * - deadLetters()       -- returns the requests that failed too many times, or were rejected by the server
+ * - clearDeadLetters()  -- remove all dead letters
+ * - maxAttempts(num)    -- get or set the number of attempts after which a request is moved to the dead letters (defaults to 5)
+ * - retryDelay(ms)      -- get or set the delay before a failed request is retried, doubled for every attempt (defaults to 1000)
  *
  *
  * Requirements
@@ -86,6 +166,19 @@
   *
   * v0.1.1
   * - Now using `webStorage.set()` instead of deprecated `webStorage.add()`.
+  *
+  * Unreleased
+  * - The `array` API is now added to all storage engines, including the ones
+  *   registered via `webStorage.registerEngine()`.
+  * - The `array` API is also added to encrypted APIs (see `webStorage.encrypt()`.)
+  * - Changes made via the `array` API are broadcast as change events.
+  * - Added the `webStorageQueue` service, which keeps the `$http` requests that
+  *   can't be sent in local storage and replays them once back online.
+  * - Added `splice`, `at`, `indexOf`, `includes`, `find`, `filter`,
+  *   `removeWhere`, `updateWhere` and `clear` to the `array` API, as well as the
+  *   `maxLength` option of `push`.
+  * - Added the `object` API, i.e. `getPath`, `setPath`, `deletePath`, `merge` and
+  *   `patch` (JSON Patch), to the generic API and to every synchronous engine.
   */
 
 /**
@@ -95,41 +188,74 @@ angular.module('webStorageModule').run(['webStorage', function (webStorage) {
 	'use strict';
 
 	// Setup the generic utility methods.
-	webStorage.array = {
-		length: function (key) { return lengthFromEngine(key, webStorage); },
-		pop: function (key) { return popFromEngine(key, webStorage); },
-		push: function (key, value) { return pushToEngine(key, value, webStorage); },
-		shift: function (key) { return shiftFromEngine(key, webStorage); },
-		unshift: function (key, value) { return unshiftToEngine(key, value, webStorage); }
-	};
+	addUtilities(webStorage);
 	
-	// Setup the utility methods on the local model.
-	webStorage.local.array = {
-		length: function (key) { return lengthFromEngine(key, webStorage.local); },
-		pop: function (key) { return popFromEngine(key, webStorage.local); },
-		push: function (key, value) { return pushToEngine(key, value, webStorage.local); },
-		shift: function (key) { return shiftFromEngine(key, webStorage.local); },
-		unshift: function (key, value) { return unshiftToEngine(key, value, webStorage.local); }
-	};
-
-	// Setup the utility methods on the session model.
-	webStorage.session.array = {
-		length: function (key) { return lengthFromEngine(key, webStorage.session); },
-		pop: function (key) { return popFromEngine(key, webStorage.session); },
-		push: function (key, value) { return pushToEngine(key, value, webStorage.session); },
-		shift: function (key) { return shiftFromEngine(key, webStorage.session); },
-		unshift: function (key, value) { return unshiftToEngine(key, value, webStorage.session); }
+	// Setup the utility methods on each synchronous storage engine (local, session, in-memory and registered ones.)
+	angular.forEach(webStorage.engines(), function (name) {
+		if (!webStorage[name].isAsync) {
+			addUtilities(webStorage[name]);
+		}
+	});
+	
+	// Setup the utility methods on storage engines registered from now on.
+	var registerEngine = webStorage.registerEngine;
+	webStorage.registerEngine = function (name, adapter) {
+		var engine = registerEngine(name, adapter);
+		if (engine) {
+			addUtilities(engine);
+		}
+		return engine;
 	};
 	
-	// Setup the utility methods on the in-memory model.
-	webStorage.memory.array = {
-		length: function (key) { return lengthFromEngine(key, webStorage.memory); },
-		pop: function (key) { return popFromEngine(key, webStorage.memory); },
-		push: function (key, value) { return pushToEngine(key, value, webStorage.memory); },
-		shift: function (key) { return shiftFromEngine(key, webStorage.memory); },
-		unshift: function (key, value) { return unshiftToEngine(key, value, webStorage.memory); }
+	// Setup the utility methods on encrypted APIs.
+	var encrypt = webStorage.encrypt;
+	webStorage.encrypt = function (name, options) {
+		var encrypted = encrypt(name, options);
+		if (encrypted) {
+			addUtilities(encrypted);
+		}
+		return encrypted;
 	};
 
+	/**
+	 * Adds the array and object utility methods to the given engine.
+	 *
+	 * @param {Object} engine The web storage model engine to operate on.
+	 * @private
+	 */
+	function addUtilities(engine) {
+		engine.array = createArrayApi(engine);
+		engine.object = createObjectApi(engine);
+	}
+
+	/**
+	 * Returns the array utility methods operating on the given engine.
+	 *
+	 * @param {Object} engine The web storage model engine to operate on.
+	 * @return {Object} The array utility methods.
+	 * @private
+	 */
+	function createArrayApi(engine) {
+		return {
+			length: function (key) { return lengthFromEngine(key, engine); },
+			pop: function (key) { return popFromEngine(key, engine); },
+			push: function (key, value, options) { return pushToEngine(key, value, engine, options); },
+			shift: function (key) { return shiftFromEngine(key, engine); },
+			unshift: function (key, value) { return unshiftToEngine(key, value, engine); },
+			splice: function (key, start, deleteCount) {
+				return spliceInEngine(key, engine, Array.prototype.slice.call(arguments, 1));
+			},
+			at: function (key, index) { return atInEngine(key, index, engine); },
+			indexOf: function (key, value) { return indexOfInEngine(key, value, engine); },
+			includes: function (key, value) { return indexOfInEngine(key, value, engine) !== -1; },
+			find: function (key, predicate) { return findInEngine(key, predicate, engine); },
+			filter: function (key, predicate) { return filterInEngine(key, predicate, engine); },
+			removeWhere: function (key, predicate) { return removeWhereInEngine(key, predicate, engine); },
+			updateWhere: function (key, predicate, update) { return updateWhereInEngine(key, predicate, update, engine); },
+			clear: function (key) { return engine.remove(key); }
+		};
+	}
+
 	/**
 	 * Returns the length of the specified web storage array.
 	 *
@@ -185,21 +311,22 @@ angular.module('webStorageModule').run(['webStorage', function (webStorage) {
 	 * NOTE: The value stored under `key`, if any, is assumed to be an array,
 	 * and if it’s not an array it will be turned into one.
 	 *
+	 * If `options.maxLength` is given then the first items are removed as
+	 * needed in order to keep the array at that length, like a ring buffer.
+	 *
 	 * @param {string} key The name to store the value under.
 	 * @param {mixed} value The value to push.
 	 * @param {Object} engine The web storage model engine to operate on.
+	 * @param {Object} options (Optional) May hold the `maxLength` of the array.
 	 * @return {boolean} The length of the array on success, otherwise false.
 	 * @private
 	 */
-	function pushToEngine(key, value, engine) {
-		var currentValue = engine.get(key);
-		
-		if (currentValue === null)
-			currentValue = [];
-		else if (!angular.isArray(currentValue))
-			currentValue = [currentValue];
+	function pushToEngine(key, value, engine, options) {
+		var currentValue = arrayFromEngine(key, engine);
 		
 		currentValue.push(value);
+		if (options && angular.isNumber(options.maxLength) && options.maxLength >= 0)
+			currentValue.splice(0, Math.max(currentValue.length - options.maxLength, 0));
 		return engine.set(key, currentValue) ? currentValue.length : false;
 	}
 	
@@ -246,15 +373,833 @@ angular.module('webStorageModule').run(['webStorage', function (webStorage) {
 	 * @private
 	 */
 	function unshiftToEngine(key, value, engine) {
-		var currentValue = engine.get(key);
-		
-		if (currentValue === null)
-			currentValue = [];
-		else if (!angular.isArray(currentValue))
-			currentValue = [currentValue];
+		var currentValue = arrayFromEngine(key, engine);
 		
 		currentValue.unshift(value);
 		return engine.set(key, currentValue) ? currentValue.length : false;
 	};
 	
+	/**
+	 * Removes and/or inserts items in the given web storage array, just like
+	 * `Array.prototype.splice`, and returns the removed items.
+	 *
+	 * NOTE: The value stored under `key`, if any, is assumed to be an array,
+	 * and if it’s not an array it will be turned into one.
+	 *
+	 * @param {string} key The name of the value.
+	 * @param {Object} engine The web storage model engine to operate on.
+	 * @param {Array} args The arguments of `Array.prototype.splice`, i.e. the
+	 *   start index, the number of items to remove and the items to insert.
+	 * @return {mixed} The removed items on success, otherwise false.
+	 * @private
+	 */
+	function spliceInEngine(key, engine, args) {
+		var currentValue = arrayFromEngine(key, engine);
+		
+		var removed = currentValue.splice.apply(currentValue, args);
+		return engine.set(key, currentValue) ? removed : false;
+	}
+	
+	/**
+	 * Returns the item at the given index of the specified web storage array.
+	 *
+	 * @param {string} key The name of the value.
+	 * @param {number} index The index of the item, counting from the end
+	 *   of the array if negative.
+	 * @param {Object} engine The web storage model engine to operate on.
+	 * @return {mixed} The item, or `undefined` if there is no such item.
+	 * @private
+	 */
+	function atInEngine(key, index, engine) {
+		var currentValue = arrayFromEngine(key, engine);
+		
+		return currentValue[index < 0 ? currentValue.length + index : index];
+	}
+	
+	/**
+	 * Returns the index of the first item of the specified web storage array
+	 * that equals (see `angular.equals`) the given value.
+	 *
+	 * @param {string} key The name of the value.
+	 * @param {mixed} value The value to look for.
+	 * @param {Object} engine The web storage model engine to operate on.
+	 * @return {number} The index of the item, or -1 if there is no such item.
+	 * @private
+	 */
+	function indexOfInEngine(key, value, engine) {
+		var currentValue = arrayFromEngine(key, engine);
+		
+		for (var ith = 0; ith < currentValue.length; ++ith) {
+			if (angular.equals(currentValue[ith], value))
+				return ith;
+		}
+		return -1;
+	}
+	
+	/**
+	 * Returns the first item of the specified web storage array for which
+	 * the given predicate returns a truthy value.
+	 *
+	 * @param {string} key The name of the value.
+	 * @param {Function} predicate Called with each item and its index.
+	 * @param {Object} engine The web storage model engine to operate on.
+	 * @return {mixed} The item, or `undefined` if there is no such item.
+	 * @private
+	 */
+	function findInEngine(key, predicate, engine) {
+		var currentValue = arrayFromEngine(key, engine);
+		
+		for (var ith = 0; ith < currentValue.length; ++ith) {
+			if (predicate(currentValue[ith], ith))
+				return currentValue[ith];
+		}
+		return undefined;
+	}
+	
+	/**
+	 * Returns the items of the specified web storage array for which the
+	 * given predicate returns a truthy value.
+	 *
+	 * @param {string} key The name of the value.
+	 * @param {Function} predicate Called with each item and its index.
+	 * @param {Object} engine The web storage model engine to operate on.
+	 * @return {Array} The items.
+	 * @private
+	 */
+	function filterInEngine(key, predicate, engine) {
+		return arrayFromEngine(key, engine).filter(predicate);
+	}
+	
+	/**
+	 * Removes the items of the specified web storage array for which the
+	 * given predicate returns a truthy value. The web store is only updated
+	 * if any item was removed.
+	 *
+	 * @param {string} key The name of the value.
+	 * @param {Function} predicate Called with each item and its index.
+	 * @param {Object} engine The web storage model engine to operate on.
+	 * @return {mixed} The number of removed items on success, otherwise false.
+	 * @private
+	 */
+	function removeWhereInEngine(key, predicate, engine) {
+		var currentValue = arrayFromEngine(key, engine);
+		
+		var kept = currentValue.filter(function (item, index) {
+			return !predicate(item, index);
+		});
+		var removed = currentValue.length - kept.length;
+		if (removed === 0)
+			return 0;
+		return engine.set(key, kept) ? removed : false;
+	}
+	
+	/**
+	 * Replaces the items of the specified web storage array for which the
+	 * given predicate returns a truthy value with the value returned by
+	 * `update(item, index)`. The web store is only updated if any item matched.
+	 *
+	 * @param {string} key The name of the value.
+	 * @param {Function} predicate Called with each item and its index.
+	 * @param {Function} update Called with each matching item and its index,
+	 *   returns the item to replace it with.
+	 * @param {Object} engine The web storage model engine to operate on.
+	 * @return {mixed} The number of updated items on success, otherwise false.
+	 * @private
+	 */
+	function updateWhereInEngine(key, predicate, update, engine) {
+		var currentValue = arrayFromEngine(key, engine);
+		
+		var updated = 0;
+		for (var ith = 0; ith < currentValue.length; ++ith) {
+			if (predicate(currentValue[ith], ith)) {
+				currentValue[ith] = update(currentValue[ith], ith);
+				++updated;
+			}
+		}
+		if (updated === 0)
+			return 0;
+		return engine.set(key, currentValue) ? updated : false;
+	}
+	
+	/**
+	 * Returns the object utility methods operating on the given engine.
+	 *
+	 * @param {Object} engine The web storage model engine to operate on.
+	 * @return {Object} The object utility methods.
+	 * @private
+	 */
+	function createObjectApi(engine) {
+		return {
+			getPath: function (key, path, defaultValue) { return getPathFromEngine(key, path, defaultValue, engine); },
+			setPath: function (key, path, value) { return setPathInEngine(key, path, value, engine); },
+			deletePath: function (key, path) { return deletePathFromEngine(key, path, engine); },
+			merge: function (key, partial) { return mergeIntoEngine(key, partial, engine); },
+			patch: function (key, operations) { return patchInEngine(key, operations, engine); }
+		};
+	}
+	
+	/**
+	 * Returns the value at the given path of the specified web storage object.
+	 *
+	 * @param {string} key The name of the value.
+	 * @param {mixed} path The path, either a dot-separated string (e.g. 'a.b.c')
+	 *   or an array of property names.
+	 * @param {mixed} defaultValue The value to return if there is no value at the path.
+	 * @param {Object} engine The web storage model engine to operate on.
+	 * @return {mixed} The value at the path, else `defaultValue`.
+	 * @private
+	 */
+	function getPathFromEngine(key, path, defaultValue, engine) {
+		var value = engine.get(key);
+		var segments = pathSegments(path);
+		
+		for (var ith = 0; ith < segments.length; ++ith) {
+			if (!angular.isObject(value) || !Object.prototype.hasOwnProperty.call(value, segments[ith]))
+				return defaultValue;
+			value = value[segments[ith]];
+		}
+		return value === null || typeof value === 'undefined' ? defaultValue : value;
+	}
+	
+	/**
+	 * Sets the value at the given path of the specified web storage object,
+	 * creating the objects along the path as needed.
+	 *
+	 * NOTE: The value stored under `key`, if any, is assumed to be an object.
+	 * Nothing is stored if it (or a value along the path) isn't an object, or
+	 * if the path holds '__proto__', 'constructor' or 'prototype'.
+	 *
+	 * @param {string} key The name of the value.
+	 * @param {mixed} path The path, either a dot-separated string (e.g. 'a.b.c')
+	 *   or an array of property names.
+	 * @param {mixed} value The value to set.
+	 * @param {Object} engine The web storage model engine to operate on.
+	 * @return {boolean} True on success, otherwise false.
+	 * @private
+	 */
+	function setPathInEngine(key, path, value, engine) {
+		var segments = pathSegments(path);
+		if (segments.length === 0)
+			return engine.set(key, value);
+		if (!isSafePath(segments))
+			return false;
+		
+		var root = engine.get(key);
+		if (root === null)
+			root = {};
+		
+		var parent = root;
+		for (var ith = 0; ith < segments.length - 1; ++ith) {
+			if (!angular.isObject(parent))
+				return false;
+			if (!Object.prototype.hasOwnProperty.call(parent, segments[ith]) ||
+					parent[segments[ith]] === null || typeof parent[segments[ith]] === 'undefined')
+				parent[segments[ith]] = {};
+			parent = parent[segments[ith]];
+		}
+		if (!angular.isObject(parent))
+			return false;
+		
+		parent[segments[segments.length - 1]] = value;
+		return engine.set(key, root);
+	}
+	
+	/**
+	 * Deletes the value at the given path of the specified web storage object.
+	 * Items are spliced out of arrays. The web store is only updated if there
+	 * was a value at the path, and paths holding '__proto__', 'constructor' or
+	 * 'prototype' are refused.
+	 *
+	 * @param {string} key The name of the value.
+	 * @param {mixed} path The path, either a dot-separated string (e.g. 'a.b.c')
+	 *   or an array of property names.
+	 * @param {Object} engine The web storage model engine to operate on.
+	 * @return {boolean} True on success, otherwise false.
+	 * @private
+	 */
+	function deletePathFromEngine(key, path, engine) {
+		var segments = pathSegments(path);
+		if (segments.length === 0)
+			return engine.remove(key);
+		
+		if (!isSafePath(segments))
+			return false;
+		
+		var root = engine.get(key);
+		var parent = root;
+		for (var ith = 0; ith < segments.length - 1; ++ith) {
+			if (!angular.isObject(parent) || !Object.prototype.hasOwnProperty.call(parent, segments[ith]))
+				return true;
+			parent = parent[segments[ith]];
+		}
+		
+		var name = segments[segments.length - 1];
+		if (!angular.isObject(parent) || !Object.prototype.hasOwnProperty.call(parent, name))
+			return true;
+		if (angular.isArray(parent))
+			parent.splice(name, 1);
+		else
+			delete parent[name];
+		return engine.set(key, root);
+	}
+	
+	/**
+	 * Deep merges the given object into the specified web storage object.
+	 * Nested objects are merged, while all other values (including arrays)
+	 * replace the stored ones.
+	 *
+	 * NOTE: The value stored under `key`, if any, is assumed to be an object.
+	 * Nothing is stored if it isn't an object. Properties named '__proto__',
+	 * 'constructor' or 'prototype' aren't merged.
+	 *
+	 * @param {string} key The name of the value.
+	 * @param {Object} partial The object to merge.
+	 * @param {Object} engine The web storage model engine to operate on.
+	 * @return {boolean} True on success, otherwise false.
+	 * @private
+	 */
+	function mergeIntoEngine(key, partial, engine) {
+		var root = engine.get(key);
+		if (root === null)
+			root = {};
+		
+		if (!isPlainObject(root) || !isPlainObject(partial))
+			return false;
+		return engine.set(key, deepMerge(root, partial));
+	}
+	
+	/**
+	 * Applies the given JSON Patch (RFC 6902) operations, i.e. 'add', 'remove',
+	 * 'replace', 'move', 'copy' and 'test', to the specified web storage value.
+	 * The operations are applied to a copy of the value, which is only stored
+	 * if all of them succeed.
+	 *
+	 * @param {string} key The name of the value.
+	 * @param {Array} operations The JSON Patch operations.
+	 * @param {Object} engine The web storage model engine to operate on.
+	 * @return {boolean} True on success, otherwise false (e.g. if an operation
+	 *   is invalid or a 'test' fails.)
+	 * @private
+	 */
+	function patchInEngine(key, operations, engine) {
+		if (!angular.isArray(operations))
+			return false;
+		
+		var document = engine.get(key);
+		try {
+			for (var ith = 0; ith < operations.length; ++ith) {
+				document = applyOperation(document, operations[ith]);
+			}
+		} catch (e) {
+			return false;
+		}
+		return engine.set(key, document);
+	}
+	
+	/**
+	 * Helper method, applies a JSON Patch operation to the given document.
+	 *
+	 * @param {mixed} document The document, which may be altered.
+	 * @param {Object} operation The JSON Patch operation.
+	 * @return {mixed} The patched document.
+	 * @throws {Error} If the operation is invalid or fails.
+	 * @private
+	 */
+	function applyOperation(document, operation) {
+		if (!angular.isObject(operation))
+			throw new Error('Invalid JSON Patch operation');
+		
+		var path = parsePointer(operation.path);
+		switch (operation.op) {
+			case 'add':
+				return addAtPointer(document, path, angular.copy(operation.value));
+			case 'remove':
+				return removeAtPointer(document, path);
+			case 'replace':
+				valueAtPointer(document, path);
+				return addAtPointer(path.length ? removeAtPointer(document, path) : document, path, angular.copy(operation.value));
+			case 'move':
+				var from = parsePointer(operation.from);
+				if (path.length > from.length && angular.equals(path.slice(0, from.length), from))
+					throw new Error('Can\'t move a value into itself');
+				var value = valueAtPointer(document, from);
+				return addAtPointer(removeAtPointer(document, from), path, value);
+			case 'copy':
+				return addAtPointer(document, path, angular.copy(valueAtPointer(document, parsePointer(operation.from))));
+			case 'test':
+				if (!angular.equals(valueAtPointer(document, path), operation.value))
+					throw new Error('JSON Patch test failed');
+				return document;
+			default:
+				throw new Error('Invalid JSON Patch operation: ' + operation.op);
+		}
+	}
+	
+	/**
+	 * Helper method, returns the value at the given (parsed) JSON Pointer.
+	 *
+	 * @param {mixed} document The document.
+	 * @param {Array} path The reference tokens of the pointer.
+	 * @return {mixed} The value.
+	 * @throws {Error} If there is no value at the pointer.
+	 * @private
+	 */
+	function valueAtPointer(document, path) {
+		var value = document;
+		for (var ith = 0; ith < path.length; ++ith) {
+			if (angular.isArray(value))
+				value = value[arrayIndex(path[ith], value.length - 1)];
+			else if (angular.isObject(value) && Object.prototype.hasOwnProperty.call(value, path[ith]))
+				value = value[path[ith]];
+			else
+				throw new Error('No value at JSON Pointer /' + path.join('/'));
+		}
+		return value;
+	}
+	
+	/**
+	 * Helper method, adds a value at the given (parsed) JSON Pointer, inserting
+	 * it into arrays ('-' appends it.)
+	 *
+	 * @param {mixed} document The document, which may be altered.
+	 * @param {Array} path The reference tokens of the pointer.
+	 * @param {mixed} value The value to add.
+	 * @return {mixed} The document.
+	 * @throws {Error} If the parent of the pointer isn't an object or an array.
+	 * @private
+	 */
+	function addAtPointer(document, path, value) {
+		if (path.length === 0)
+			return value;
+		
+		var parent = valueAtPointer(document, path.slice(0, -1));
+		var name = path[path.length - 1];
+		if (angular.isArray(parent))
+			parent.splice(name === '-' ? parent.length : arrayIndex(name, parent.length), 0, value);
+		else if (angular.isObject(parent) && isSafePath([name]))
+			parent[name] = value;
+		else
+			throw new Error('Can\'t add a value at JSON Pointer /' + path.join('/'));
+		return document;
+	}
+	
+	/**
+	 * Helper method, removes the value at the given (parsed) JSON Pointer.
+	 *
+	 * @param {mixed} document The document, which may be altered.
+	 * @param {Array} path The reference tokens of the pointer.
+	 * @return {mixed} The document.
+	 * @throws {Error} If there is no value at the pointer, or it's the document itself.
+	 * @private
+	 */
+	function removeAtPointer(document, path) {
+		if (path.length === 0)
+			throw new Error('Can\'t remove the whole document');
+		
+		valueAtPointer(document, path);
+		var parent = valueAtPointer(document, path.slice(0, -1));
+		var name = path[path.length - 1];
+		if (angular.isArray(parent))
+			parent.splice(arrayIndex(name, parent.length - 1), 1);
+		else
+			delete parent[name];
+		return document;
+	}
+	
+	/**
+	 * Helper method, parses a JSON Pointer (e.g. '/a/b~1c') into its unescaped
+	 * reference tokens (e.g. ['a', 'b/c']).
+	 *
+	 * @param {string} pointer The JSON Pointer.
+	 * @return {Array} The reference tokens.
+	 * @throws {Error} If the pointer is invalid.
+	 * @private
+	 */
+	function parsePointer(pointer) {
+		if (pointer === '')
+			return [];
+		if (typeof pointer !== 'string' || pointer.charAt(0) !== '/')
+			throw new Error('Invalid JSON Pointer: ' + pointer);
+		
+		return pointer.substr(1).split('/').map(function (token) {
+			return token.replace(/~1/g, '/').replace(/~0/g, '~');
+		});
+	}
+	
+	/**
+	 * Helper method, parses a JSON Pointer reference token into an array index.
+	 *
+	 * @param {string} token The reference token.
+	 * @param {number} max The greatest valid index.
+	 * @return {number} The index.
+	 * @throws {Error} If the token isn't an index between 0 and `max`.
+	 * @private
+	 */
+	function arrayIndex(token, max) {
+		if (!/^(0|[1-9][0-9]*)$/.test(token) || Number(token) > max)
+			throw new Error('Invalid array index: ' + token);
+		return Number(token);
+	}
+	
+	/**
+	 * Helper method, returns the names of the properties along the given path.
+	 *
+	 * @param {mixed} path The path, either a dot-separated string (e.g. 'a.b.c')
+	 *   or an array of property names. The empty string is the value itself.
+	 * @return {Array} The names of the properties.
+	 * @private
+	 */
+	function pathSegments(path) {
+		if (angular.isArray(path))
+			return path;
+		return path === '' || path === null || typeof path === 'undefined' ? [] : String(path).split('.');
+	}
+	
+	/**
+	 * Helper method, checks that none of the given property names reaches the
+	 * prototype of an object, i.e. '__proto__', 'constructor' or 'prototype'.
+	 *
+	 * @param {Array} segments The names of the properties.
+	 * @return {boolean} True if the names are safe to walk and set, else false.
+	 * @private
+	 */
+	function isSafePath(segments) {
+		for (var ith = 0; ith < segments.length; ++ith) {
+			var name = String(segments[ith]);
+			if (name === '__proto__' || name === 'constructor' || name === 'prototype')
+				return false;
+		}
+		return true;
+	}
+	
+	/**
+	 * Helper method, checks if the given value is a plain object (i.e. not an
+	 * array, a Date, a Map or such.)
+	 *
+	 * @param {mixed} value The value to check.
+	 * @return {boolean} True if the value is a plain object, else false.
+	 * @private
+	 */
+	function isPlainObject(value) {
+		return angular.isObject(value) && Object.getPrototypeOf(value) === Object.prototype;
+	}
+	
+	/**
+	 * Helper method, deep merges the source object into the target object.
+	 *
+	 * @param {Object} target The object to merge into, which is altered.
+	 * @param {Object} source The object to merge.
+	 * @return {Object} The target object.
+	 * @private
+	 */
+	function deepMerge(target, source) {
+		angular.forEach(source, function (value, name) {
+			if (!isSafePath([name]))
+				return;
+			if (isPlainObject(value) && isPlainObject(target[name]))
+				deepMerge(target[name], value);
+			else
+				target[name] = angular.copy(value);
+		});
+		return target;
+	}
+	
+	/**
+	 * Helper method, returns the value stored under the given key as an array,
+	 * i.e. an empty array if no value exist for the key, and a non-array value
+	 * wrapped in an array.
+	 *
+	 * @param {string} key The name of the value.
+	 * @param {Object} engine The web storage model engine to operate on.
+	 * @return {Array} The stored array.
+	 * @private
+	 */
+	function arrayFromEngine(key, engine) {
+		var value = engine.get(key);
+		
+		if (value === null)
+			return [];
+		return angular.isArray(value) ? value : [value];
+	}
+	
+}]);
+
+/**
+ * The webStorageQueue service, persisting `$http` requests that can't be sent
+ * in local storage and replaying them once the client is back online.
+ */
+angular.module('webStorageModule').factory('webStorageQueue', ['webStorage', '$http', '$q', '$timeout', '$window', function (webStorage, $http, $q, $timeout, $window) {
+	'use strict';
+
+	/**
+	 * Key under which the queued requests are stored in local storage.
+	 * @private
+	 */
+	var QUEUE_KEY = 'webStorageQueue.requests';
+
+	/**
+	 * Key under which the dead letters are stored in local storage.
+	 * @private
+	 */
+	var DEAD_LETTERS_KEY = 'webStorageQueue.deadLetters';
+
+	/**
+	 * The number of attempts after which a request is moved to the dead letters.
+	 * @see maxAttempts
+	 * @private
+	 */
+	var maxAttempts = 5;
+
+	/**
+	 * The number of milliseconds to wait before retrying a failed request, doubled
+	 * for every further attempt.
+	 * @see retryDelay
+	 * @private
+	 */
+	var retryDelay = 1000;
+
+	/**
+	 * Promise of the replay in progress, if any.
+	 * @private
+	 */
+	var replaying = null;
+
+	/**
+	 * The timer of the scheduled retry, if any.
+	 * @private
+	 */
+	var retryTimer = null;
+
+	/**
+	 * The webStorageQueue service API.
+	 */
+	var queue = {
+		/**
+		 * Send a request via `$http`. The request is queued for replay if the client
+		 * is offline, if earlier requests are still queued (in order to keep their
+		 * order) or if it fails due to the network or the server, in which case a
+		 * retry is scheduled.
+		 *
+		 * @param {Object} config The `$http` request config.
+		 * @return {Promise} The promise of the response. It's rejected with the
+		 *   response (or, if the request wasn't sent, an object holding the `config`)
+		 *   whose `queued` flag is true if the request has been queued.
+		 */
+		send: function (config) {
+			if (!isOnline() || queue.length() > 0) {
+				var queued = queue.enqueue(config) !== false;
+				queue.replay();
+				return $q.reject({ config: config, status: -1, queued: queued });
+			}
+			return $http(config).then(null, function (response) {
+				response.queued = isRetryable(response) && queue.enqueue(config) !== false;
+				if (response.queued) {
+					scheduleRetry(retryDelay);
+				}
+				return $q.reject(response);
+			});
+		},
+
+		/**
+		 * Queue a request for replay. Only the `method`, `url`, `params`, `data` and
+		 * `headers` of the request config are stored.
+		 *
+		 * @param {Object} config The `$http` request config.
+		 * @return {number|boolean} The new length of the queue, or false on error.
+		 */
+		enqueue: function (config) {
+			if (!angular.isObject(config) || !config.url) {
+				return false;
+			}
+			return webStorage.local.array.push(QUEUE_KEY, {
+				config: {
+					method: config.method || 'GET',
+					url: config.url,
+					params: config.params,
+					data: config.data,
+					headers: config.headers
+				},
+				attempts: 0,
+				queuedAt: new Date().getTime()
+			});
+		},
+
+		/**
+		 * Replay the queued requests in order, stopping at the first request that
+		 * has to be retried (a retry is then scheduled.) Requests that have been
+		 * attempted `maxAttempts` times, or that the server rejected, are moved to
+		 * the dead letters.
+		 *
+		 * @return {Promise} The promise of the number of replayed requests.
+		 */
+		replay: function () {
+			if (replaying !== null) {
+				return replaying;
+			}
+			if (retryTimer !== null) {
+				$timeout.cancel(retryTimer);
+				retryTimer = null;
+			}
+
+			var replayed = 0;
+			var next = function () {
+				var requests = queue.requests();
+				if (requests.length === 0 || !isOnline()) {
+					return replayed;
+				}
+				var request = requests[0];
+				return $http(request.config).then(function () {
+					webStorage.local.array.shift(QUEUE_KEY);
+					++replayed;
+					return next();
+				}, function (response) {
+					request.attempts += 1;
+					request.status = response.status;
+					if (request.attempts >= maxAttempts || !isRetryable(response)) {
+						webStorage.local.array.shift(QUEUE_KEY);
+						webStorage.local.array.push(DEAD_LETTERS_KEY, request);
+						return next();
+					}
+					var current = queue.requests();
+					current[0] = request;
+					webStorage.local.set(QUEUE_KEY, current);
+					scheduleRetry(retryDelay * Math.pow(2, request.attempts - 1));
+					return replayed;
+				});
+			};
+
+			replaying = $q.when(next())['finally'](function () {
+				replaying = null;
+			});
+			return replaying;
+		},
+
+		/**
+		 * Returns the number of queued requests.
+		 *
+		 * @return {number} The number of queued requests.
+		 */
+		length: function () {
+			return queue.requests().length;
+		},
+
+		/**
+		 * Returns the queued requests, each holding the request `config`, the number
+		 * of `attempts`, the `status` of the last attempt and the time it was
+		 * `queuedAt`.
+		 *
+		 * @return {Array} The queued requests.
+		 */
+		requests: function () {
+			var requests = webStorage.local.get(QUEUE_KEY);
+			return angular.isArray(requests) ? requests : [];
+		},
+
+		/**
+		 * Returns the requests that failed too many times, or were rejected by the
+		 * server, in the same form as `requests()`.
+		 *
+		 * @return {Array} The dead letters.
+		 */
+		deadLetters: function () {
+			var deadLetters = webStorage.local.get(DEAD_LETTERS_KEY);
+			return angular.isArray(deadLetters) ? deadLetters : [];
+		},
+
+		/**
+		 * Remove all dead letters.
+		 *
+		 * @return {boolean} True on success, else false.
+		 */
+		clearDeadLetters: function () {
+			return webStorage.local.remove(DEAD_LETTERS_KEY);
+		},
+
+		/**
+		 * Get or set the number of attempts after which a request is moved to the
+		 * dead letters.
+		 *
+		 * @param {number} newMaxAttempts (Optional) The new number of attempts.
+		 * @return {number|boolean} The previous number of attempts, or false on error.
+		 */
+		maxAttempts: function (newMaxAttempts) {
+			var result = maxAttempts;
+			if (typeof newMaxAttempts !== 'undefined') {
+				if (!angular.isNumber(newMaxAttempts) || newMaxAttempts < 1) {
+					return false;
+				}
+				maxAttempts = newMaxAttempts;
+			}
+			return result;
+		},
+
+		/**
+		 * Get or set the number of milliseconds to wait before retrying a failed
+		 * request, doubled for every further attempt.
+		 *
+		 * @param {number} newRetryDelay (Optional) The new delay.
+		 * @return {number|boolean} The previous delay, or false on error.
+		 */
+		retryDelay: function (newRetryDelay) {
+			var result = retryDelay;
+			if (typeof newRetryDelay !== 'undefined') {
+				if (!angular.isNumber(newRetryDelay) || newRetryDelay < 0) {
+					return false;
+				}
+				retryDelay = newRetryDelay;
+			}
+			return result;
+		}
+	};
+
+	// Replay the requests queued by earlier page loads, and replay the queued
+	// requests whenever the client is back online.
+	if (queue.length() > 0) {
+		queue.replay();
+	}
+	angular.element($window).on('online', function () {
+		queue.replay();
+	});
+
+	/**
+	 * Helper method, checks if the client is online.
+	 *
+	 * @return {boolean} False if the client is known to be offline, else true.
+	 * @private
+	 */
+	function isOnline() {
+		return !$window.navigator || $window.navigator.onLine !== false;
+	}
+
+	/**
+	 * Helper method, checks if a failed request may succeed when retried, i.e. if
+	 * it failed due to the network or the server rather than being rejected.
+	 *
+	 * @param {Object} response The `$http` response of the failed request.
+	 * @return {boolean} True if the request may be retried, else false.
+	 * @private
+	 */
+	function isRetryable(response) {
+		var status = response.status;
+		return status <= 0 || status === 408 || status === 429 || status >= 500;
+	}
+
+	/**
+	 * Helper method, schedules a replay of the queued requests, unless one is
+	 * already scheduled.
+	 *
+	 * @param {number} delay The number of milliseconds to wait.
+	 * @private
+	 */
+	function scheduleRetry(delay) {
+		if (retryTimer !== null) {
+			return;
+		}
+		retryTimer = $timeout(function () {
+			retryTimer = null;
+			queue.replay();
+		}, delay);
+	}
+
+	return queue;
 }]);
@@ -20,7 +20,30 @@
  * try to mimic them by setting cookies on the current document.
  *
  * All errors will be broadcast via the `$rootScope` under a specific name
- * (defaults to: `webStorage.notification.error`.)
+ * (defaults to: `webStorage.notification.error`.) The event carries an Error
+ * whose `name` is 'WebStorageError', holding the error `code` ('QUOTA_EXCEEDED',
+ * 'SECURITY', 'PARSE_ERROR', 'UNAVAILABLE', 'DECRYPTION_FAILED',
+ * 'MIGRATION_FAILED', 'COOKIE_REFUSED' or 'UNKNOWN'), the `operation` that
+ * failed (e.g. 'set'), the name of the `engine`, the unprefixed `key` (when
+ * known) and the original exception as `cause`. In strict mode (see `strict()`)
+ * these errors are thrown, or rejected by the methods that return promises,
+ * instead of being broadcast.
+ *
+ * Changes made to local or session storage by other windows (or tabs) are
+ * broadcast via the `$rootScope` under a specific name (defaults to:
+ * `webStorage.notification.storage`.) The event carries an object holding
+ * the unprefixed `key`, the `oldValue`, the `newValue` and the `engine`
+ * ('local' or 'session'.) Changes to keys outside the current prefix, and to
+ * the keys the service uses itself (such as the test key), are ignored, while
+ * clearing the store in another window is broadcast with `key` set to null.
+ *
+ * Changes made in this window by `set`, `remove` and `clear` (generic or
+ * direct, including the `array` utilities) are broadcast via the `$rootScope`
+ * as well, under another name (defaults to: `webStorage.notification.change`.)
+ * The event carries an object holding the `type` of operation ('set',
+ * 'remove' or 'clear'), the `engine`, the unprefixed `key`, the `oldValue`,
+ * the `newValue` and the `prefix`. Clearing a store is broadcast with `key`
+ * set to null and the unprefixed names of the removed `keys`.
  *
  * The service provides the following generic methods:
  *
@@ -28,54 +51,188 @@
  * - isSupported          -- boolean flag indicating client support status (local or session storage)
  * - add(key, value, all) -- [DEPRECATED: use `set`] add a value to storage under the specific key (storage according to 'order')
  * - set(key, value, all) -- add or set a value in storage under the specific key (storage according to 'order')
+ * - set(key, value, opts) -- same as above, where `opts` may hold `ttl` (milliseconds), `expires` (Date or timestamp), `priority`, `pinned` and `allEngines`
  * - get(key, all)        -- return the specified value (storage according to 'order')
  * - has(key, all)        -- checks if the given key exists (storage according to 'order')
- * - key(index, all)      -- returns the name of the nth key (storage according to 'order')
- * - length(all)          -- returns the number of items in the key/value store (storage according to 'order')
+ * - key(index, all)      -- returns the name of the nth key with the current prefix, without the prefix (storage according to 'order')
+ * - length(all)          -- returns the number of items with the current prefix in the key/value store (storage according to 'order')
+ * - keys(all)            -- returns the names of all keys with the current prefix, without the prefix (storage according to 'order')
+ * - values(all)          -- returns the values of all keys with the current prefix (storage according to 'order')
+ * - entries(all)         -- returns all `[key, value]` pairs with the current prefix (storage according to 'order')
+ * - forEach(fn, all)     -- calls `fn(value, key)` with each key/value pair with the current prefix (storage according to 'order')
  * - remove(key, all)     -- remove a key/value pair from storage (storage according to 'order')
  * - clear(all)           -- remove all key/value pairs from storage (storage according to 'order')
+ * - purgeExpired(all)    -- remove all expired key/value pairs from storage and return their number (storage according to 'order')
+ * - usage(all)           -- report the bytes used per engine and key (storage according to 'order')
+ * - transaction(fn)      -- call `fn(tx)`, where `tx` offers `set`, `remove`, `get` and `has`, and roll back all its writes if one fails
+ * - bind(scope, property, key, opts) -- two-way bind a scope property to a stored value, returns an unbind function
+ * - namespace(name, opts) -- returns a namespaced API (see below) with its own prefix and, optionally, `opts.order`
+ * - cacheFactory(name, opts) -- returns a `$cacheFactory` compatible cache (see below) stored in `opts.engine`, holding at most `opts.capacity` entries for `opts.ttl` milliseconds
+ * - registerEngine(name, adapter) -- add a storage engine (see below) under `webStorage[name]`, usable in `order()`
+ * - engines()            -- returns the names of all storage engines, built-in as well as registered ones
+ * - encrypt(engine, opts) -- returns an encrypted API (see below) for the named engine, using `opts.keys`, `opts.keyId` and `opts.cipher`
  * - errorName(str)       -- get or set the name of the event that is broadcast over the $rootScope on errors
+ * - strict(bool)         -- get or set strict mode, in which errors are thrown (or rejected) instead of being broadcast
+ * - cookieOptions(obj)   -- get or set the default `path`, `domain`, `secure`, `sameSite`, `session` and `maxCookies` options of the cookie storage engine
+ * - storageEventName(str) -- get or set the name of the event that is broadcast over the $rootScope when another window changes storage
+ * - evictionPolicy(str)  -- get or set the policy by which values are evicted when a write exceeds the quota ('none', 'lru', 'lfu', 'oldest' or 'expired')
+ * - evictionEventName(str) -- get or set the name of the event that is broadcast over the $rootScope when values have been evicted
+ * - changeEventName(str) -- get or set the name of the event that is broadcast over the $rootScope when values are set, removed or cleared
+ * - compression(num)     -- get or set the number of characters above which values are compressed (false disables compression, the default)
+ * - serializer(obj)      -- get or set the serializer (`stringify` and `parse`) used by all engines, null for the default (typed JSON)
+ * - version()            -- returns the schema version of the stored data (null if versioning is disabled)
  * - prefix(str)          -- get or set the prefix used for keys while operating on storage values
  * - order(array)         -- get or set the order by which storage models are iterated (defaults to ['local', 'session', 'memory'])
  *
+ * webStorage.async (all methods return promises that are rejected with the error on failures)
+ * - set(key, value, all) -- as `webStorage.set`, but returns a promise and may use asynchronous engines (e.g. 'idb')
+ * - get(key, all)        -- as `webStorage.get`, but returns a promise and may use asynchronous engines
+ * - has(key, all)        -- as `webStorage.has`, but returns a promise and may use asynchronous engines
+ * - remove(key, all)     -- as `webStorage.remove`, but returns a promise and may use asynchronous engines
+ * - clear(all)           -- as `webStorage.clear`, but returns a promise and may use asynchronous engines
+ * - keys(all)            -- returns a promise of the names of all keys with the current prefix (without the prefix)
+ *
+ * Caches created via `cacheFactory(name, opts)` implement the `$cacheFactory`
+ * cache interface, i.e. `put(key, value)`, `get(key)`, `remove(key)`,
+ * `removeAll()`, `info()` and `destroy()`, so that they may be handed to `$http`
+ * or `$resource` as `cache`. Entries are stored under the cache's own prefix in
+ * a synchronous engine ('local' by default), so they survive page reloads,
+ * while pending `$http` promises are only held in memory. The least recently
+ * used entries are removed once a cache holds more than `opts.capacity` entries.
+ * The caches created so far are available via `cacheFactory.get(name)`.
+ *
+ * Storage engines may be added via `registerEngine(name, adapter)`, where the
+ * adapter is a Storage-like object implementing `getItem(key)`, `setItem(key,
+ * value)`, `removeItem(key)`, `key(index)`, `length` (a property or a method)
+ * and, optionally, `clear()`. The service wraps the adapter with the same
+ * serialization, prefixing and error handling as local and session storage,
+ * so that a registered engine has the same direct API as `webStorage.local`.
+ *
  * It also provides the following direct APIs:
  *
  * webStorage.local
  * - isSupported          -- boolean flag indicating client support status (local storage)
  * - add(key, value)      -- [DEPRECATED: use `set`] add a value to storage under the specific key (local storage)
  * - set(key, value)      -- add or update a value in storage under the specific key (local storage)
+ * - set(key, value, opts) -- same as above, where `opts` may hold `ttl` (milliseconds) or `expires` (Date or timestamp), `priority` and `pinned`
  * - get(key)             -- return the specified value (local storage)
  * - has(key)             -- checks if the given key exists (local storage)
- * - key(index)           -- return the name of the nth key (local storage)
- * - length()             -- returns the number of items in storage (local storage)
+ * - key(index)           -- return the name of the nth key with the current prefix, without the prefix (local storage)
+ * - length()             -- returns the number of items with the current prefix in storage (local storage)
+ * - keys()               -- returns the names of all keys with the current prefix, without the prefix (local storage)
+ * - values()             -- returns the values of all keys with the current prefix (local storage)
+ * - entries()            -- returns all `[key, value]` pairs with the current prefix (local storage)
+ * - forEach(fn)          -- calls `fn(value, key)` with each key/value pair with the current prefix (local storage)
  * - remove(key)          -- remove a key/value pair from storage (local storage)
  * - clear()              -- remove all key/value pairs from storage (local storage)
+ * - purgeExpired()       -- remove all expired key/value pairs from storage and return their number (local storage)
+ * - usage()              -- report the bytes used in total and per key (local storage)
  * - isPolyfilled(remove) -- returns `true` if local storage is polyfilled, if `remove` is true then the polyfill is removed (local storage)
  *
  * webStorage.session
  * - isSupported          -- boolean flag indicating client support status (session storage)
  * - add(key, value)      -- [DEPRECATED: use `set`] add a value to storage under the specific key (session storage)
  * - set(key, value)      -- add or set a value in storage under the specific key (session storage)
+ * - set(key, value, opts) -- same as above, where `opts` may hold `ttl` (milliseconds) or `expires` (Date or timestamp), `priority` and `pinned`
  * - get(key)             -- return the specified value (session storage)
  * - has(key)             -- checks if the given key exists (session storage)
- * - key(index)           -- return the name of the nth key (session storage)
- * - length()             -- returns the number of items in storage (session storage)
+ * - key(index)           -- return the name of the nth key with the current prefix, without the prefix (session storage)
+ * - length()             -- returns the number of items with the current prefix in storage (session storage)
+ * - keys()               -- returns the names of all keys with the current prefix, without the prefix (session storage)
+ * - values()             -- returns the values of all keys with the current prefix (session storage)
+ * - entries()            -- returns all `[key, value]` pairs with the current prefix (session storage)
+ * - forEach(fn)          -- calls `fn(value, key)` with each key/value pair with the current prefix (session storage)
  * - remove(key)          -- remove a key/value pair from storage (session storage)
  * - clear()              -- remove all key/value pairs from storage (session storage)
+ * - purgeExpired()       -- remove all expired key/value pairs from storage and return their number (session storage)
+ * - usage()              -- report the bytes used in total and per key (session storage)
  * - isPolyfilled(remove) -- returns `true` if session storage is polyfilled, if `remove` is true then the polyfill is removed (session storage)
  *
  * webStorage.memory
  * - isSupported     -- boolean true, the in-memory storage is always supported
  * - add(key, value) -- [DEPRECATED: use `set`] add a value to storage under the specific key (in-memory storage)
  * - set(key, value) -- add or set a value in storage under the specific key (in-memory storage)
+ * - set(key, value, opts) -- same as above, where `opts` may hold `ttl` (milliseconds) or `expires` (Date or timestamp), `priority` and `pinned`
  * - get(key)        -- return the specified value (in-memory storage)
  * - has(key)        -- checks if the given key exists (in-memory storage)
- * - key(index)      -- return the name of the nth key (in-memory storage)
- * - length()        -- returns the number of items in storage (in-memory storage)
+ * - key(index)      -- return the name of the nth key with the current prefix, without the prefix (in-memory storage)
+ * - length()        -- returns the number of items with the current prefix in storage (in-memory storage)
+ * - keys()          -- returns the names of all keys with the current prefix, without the prefix (in-memory storage)
+ * - values()        -- returns the values of all keys with the current prefix (in-memory storage)
+ * - entries()       -- returns all `[key, value]` pairs with the current prefix (in-memory storage)
+ * - forEach(fn)     -- calls `fn(value, key)` with each key/value pair with the current prefix (in-memory storage)
  * - remove(key)     -- remove a key/value pair from storage (in-memory storage)
  * - clear()         -- remove all key/value pairs from storage (in-memory storage)
+ * - purgeExpired()  -- remove all expired key/value pairs from storage and return their number (in-memory storage)
+ * - usage()         -- report the bytes used in total and per key (in-memory storage)
  * - isPolyfilled()  -- always returns `false` (in-memory storage)
  *
+ * webStorage.cookie
+ * - The same methods as `webStorage.local` (except `add`), storing each value in a
+ *   cookie of its own (cookie storage.) Cookies are set with the default options
+ *   (see `cookieOptions()`), which `set(key, value, opts)` may override per key via
+ *   `opts.path`, `opts.domain`, `opts.secure`, `opts.sameSite` and `opts.session`.
+ *   Persistent cookies expire with the value (`opts.ttl` or `opts.expires`), while
+ *   session cookies are removed when the browser is closed. Values set with another
+ *   path or domain than the default must be removed via `remove(key, opts)` with
+ *   the same `opts.path` and `opts.domain`. Values larger than a cookie (about
+ *   4KB) are split across several cookies, within the budget of `maxCookies`.
+ *
+ * webStorage.idb
+ * - The same methods as `webStorage.local` (except `add`), all returning promises
+ *   resolved inside a digest (IndexedDB storage.) The engine is asynchronous, so
+ *   it is skipped by the generic API but may be used in `order()` together with
+ *   `webStorage.async`. If IndexedDB is unavailable the next engine is used.
+ *   Its `usage(probe)` also estimates the remaining quota if probed, where the
+ *   client supports `navigator.storage.estimate()`.
+ *
+ * A namespaced API, as returned by `webStorage.namespace()`, offers the generic
+ * methods `set`, `get`, `has`, `key`, `length`, `keys`, `values`, `entries`,
+ * `forEach`, `remove`, `clear`, `purgeExpired` and `usage` as well as the direct
+ * APIs `local`, `session` and `memory`. These all operate on keys prefixed by the service's prefix followed by `name + '.'`, and by the
+ * namespace's own order. Its prefix and order may be queried and updated via its
+ * own `prefix(str)` and `order(array)` methods, its `encrypt(engine, opts)`
+ * returns an encrypted API operating on the namespace's keys, and its
+ * `transaction(fn)` operates on the namespace's keys.
+ *
+ * An encrypted API, as returned by `webStorage.encrypt()`, offers the same methods
+ * as `webStorage.local` (except `add` and `usage`). Its values
+ * are encrypted with a pluggable cipher, defaulting to AES-GCM via WebCrypto:
+ * - ready                -- a promise resolved once the stored values have been decrypted into memory
+ * - flush()              -- returns a promise resolved once all pending (encrypted) writes are stored
+ * - rotateKey(id, key)   -- re-encrypt all values with the given key, returns a promise
+ *
+ * The module also provides the `webstorage-model` attribute directive, which
+ * persists the value of an `ng-model` input via the service (i.e. using its
+ * prefix, order and error handling.) The stored value is restored when the
+ * input is linked, and saved whenever the user changes it. Password inputs
+ * are skipped unless opted in:
+ * - webstorage-model="key"   -- the key to store the value under (defaults to the `ng-model` expression)
+ * - webstorage-engine="name" -- the storage engine to use, e.g. 'session' (defaults to the generic API)
+ * - webstorage-debounce="ms" -- the number of milliseconds to wait for further changes before saving (defaults to 250)
+ * - webstorage-clear-on-submit -- remove the stored value when the input's form is submitted
+ * - webstorage-password      -- persist the value even though the input is a password input
+ *
+ * The service may be configured in the config phase via its provider:
+ *
+ * webStorageProvider
+ * - setPrefix(str)       -- set the prefix used for keys while operating on storage values
+ * - setOrder(array)      -- set the order by which storage models are iterated
+ * - setErrorName(str)    -- set the name of the event that is broadcast over the $rootScope on errors
+ * - setStrict(bool)      -- enable or disable strict mode, in which errors are thrown (or rejected) instead of being broadcast
+ * - setCookieOptions(obj) -- set the default `path`, `domain`, `secure`, `sameSite`, `session` and `maxCookies` options of the cookie storage engine
+ * - setStorageEventName(str) -- set the name of the event that is broadcast over the $rootScope when another window changes storage
+ * - setTestKey(str)      -- set the key used to test the availability of storage engines
+ * - setIndexedDbName(str) -- set the name of the IndexedDB database used by the 'idb' storage engine
+ * - setEvictionPolicy(str) -- set the policy by which values are evicted when a write exceeds the quota
+ * - setEvictionEventName(str) -- set the name of the event that is broadcast over the $rootScope when values have been evicted
+ * - setChangeEventName(str) -- set the name of the event that is broadcast over the $rootScope when values are set, removed or cleared
+ * - setCompression(num)  -- set the number of characters above which values are compressed (or false)
+ * - setSerializer(obj)   -- set the serializer used by all engines (or null for the default)
+ * - version(num, onFailure) -- set the schema version of the stored data, `onFailure` is either 'rollback' (default) or 'quarantine'
+ * - registerMigration(from, fn) -- register a migration from the given version, `fn(value, key)` returns the migrated value
+ * - registerEngine(name, adapter) -- register a storage engine to be added when the service is instantiated
+ *
  *
  * Requirements
  * This module was originally built for AngularJS v1.0.5.
@@ -211,6 +368,84 @@
   *   polyfilled or not. It is also possible to use the same routines to
   *   remove the polyfill functionality. `isPolyfilled(remove)` is now
   *   defined on `webStorage.local` and `webStorage.session`.
+  *
+  * Unreleased
+  * - Added per-key expiry. `set()` now accepts an options object holding
+  *   either a `ttl` (in milliseconds) or an `expires` date. Expired values
+  *   read as `null`, are not counted by `length()` and may be swept by
+  *   calling `purgeExpired()`.
+  * - Added `webStorageProvider` so that the service may be configured in
+  *   the config phase via `setPrefix()`, `setOrder()`, `setErrorName()` and
+  *   `setTestKey()`. The client's storage support is now tested using the
+  *   configured prefix.
+  * - Changes made to local or session storage by other windows are now
+  *   broadcast over the `$rootScope` (see `storageEventName()`.)
+  * - Added `bind()` in order to two-way bind a scope property to a stored
+  *   value.
+  * - Added `namespace()` in order to create namespaced APIs with their own
+  *   isolated prefix and order.
+  * - The in-memory storage now uses the prefix, just like local and session
+  *   storage.
+  * - Added `registerEngine()` in order to add storage engines on top of
+  *   Storage-like adapters, as well as `engines()` that lists all engines.
+  *   Local and session storage are now built on the same engine wrapper.
+  * - Added the asynchronous IndexedDB storage engine `webStorage.idb`, as
+  *   well as the asynchronous generic API `webStorage.async` that may use
+  *   it via `order()`.
+  * - Added `keys()` to `webStorage.async`, whose promises are now rejected
+  *   with the error on failures instead of broadcasting it.
+  * - Added `usage()` in order to report the bytes used by the key/value pairs
+  *   under the current prefix, per engine and per key, as well as an estimate
+  *   of the remaining IndexedDB quota where it may be queried.
+  * - Added an eviction policy (see `evictionPolicy()`), by which values are
+  *   evicted from local, session and registered storage when a write exceeds
+  *   the quota, as well as the `priority` and `pinned` options of `set()`.
+  *   Evictions are broadcast over the `$rootScope` (see `evictionEventName()`.)
+  * - Added `encrypt()`, also available on namespaces, in order to encrypt the
+  *   values of a storage engine with a pluggable cipher (AES-GCM via WebCrypto
+  *   by default) that supports key rotation.
+  * - Added opt-in compression of large values stored in local, session or
+  *   registered storage (see `compression()`.) Values are compressed with an
+  *   LZ-style codec into UTF-16 safe strings, and uncompressed values are
+  *   still read as before.
+  * - Added a pluggable serializer (see `serializer()`.) The default one
+  *   round-trips Dates, Maps, Sets, RegExps and `undefined`, and strips `$$`
+  *   properties just like `angular.toJson()`. The in-memory engine now stores
+  *   serialized copies as well, so values read the same in every engine.
+  * - Added schema versioning, i.e. `webStorageProvider.version()` and
+  *   `webStorageProvider.registerMigration()`. Stored data of an older version
+  *   is migrated when the service is instantiated. Failed migrations are
+  *   rolled back, or quarantined. Values that can't be parsed (i.e. that
+  *   weren't stored by the service) are left alone.
+  * - Added `keys()`, `values()`, `entries()` and `forEach()` to the generic API
+  *   and to every engine. These, as well as `key()` and `length()`, now only
+  *   see the keys with the current prefix, and return them without the prefix.
+  * - Setting, removing and clearing values is now broadcast over the
+  *   `$rootScope` (see `changeEventName()`.)
+  * - Errors are now broadcast as Errors holding a `code`, the `operation`, the
+  *   `engine`, the `key` and the original exception as `cause`, instead of as
+  *   a string. Writing to an unavailable engine is now reported as an error.
+  * - Added strict mode (see `strict()`), in which errors are thrown or rejected
+  *   instead of being broadcast.
+  * - Added the cookie storage engine `webStorage.cookie`, with per key and default
+  *   (see `cookieOptions()`) path, domain, Secure, SameSite and expiry.
+  * - The cookies set by the local and session storage polyfills, as well as the
+  *   persistent and session cookies of the cookie engine, are kept apart, and
+  *   each only enumerates its own keys.
+  *   NOTE: This breaks compatibility with polyfilled clients of earlier
+  *   versions. The polyfills now prefix the names of their cookies with
+  *   'webStorage.local.' and 'webStorage.session.', so values stored under
+  *   the bare key are no longer read. They aren't migrated, since they can't
+  *   be told apart from the document's other cookies.
+  * - Values larger than a cookie are split across several cookies, by the cookie
+  *   engine as well as by the polyfills. Writes that would exceed the cookie
+  *   budget (see `cookieOptions()`) fail with a 'QUOTA_EXCEEDED' error, while
+  *   cookies refused by the browser fail with a 'COOKIE_REFUSED' error.
+  * - Added `transaction()` in order to write several values at once, restoring
+  *   the previous values if any write fails.
+  * - Added the `webstorage-model` directive in order to persist form inputs.
+  * - Added `cacheFactory()` in order to create persistent `$cacheFactory`
+  *   compatible caches for `$http` and `$resource`.
   */
 
 /**
@@ -224,7 +459,9 @@ var webStorageModule = angular.module('webStorageModule', []);
  * These are the module’s default settings, they may be queried and updated
  * via methods with the same name. E.g. the storage model order may be updated
  * by calling `webStorage.order(['session', 'local', 'memory'])` and the
- * current prefix may be fetched by calling `webStorage.prefix()`.
+ * current prefix may be fetched by calling `webStorage.prefix()`. They may also
+ * be set in the config phase via `webStorageProvider`, e.g. by calling
+ * `webStorageProvider.setPrefix('myApp.')`.
  *
  * @see errorName
  * @see order
@@ -245,1061 +482,5131 @@ webStorageModule.constant('defaultSettings', {
 	// Use errorName() to modify this value.
 	errorName: 'webStorage.notification.error',
 
+	// If true then errors are thrown (or rejected) instead of being broadcast.
+	// Use strict() to modify this value.
+	strict: false,
+
+	// The default options of the cookies set by the cookie storage engine and the
+	// local and session storage polyfills. Unless `session` is true, the cookie
+	// engine sets persistent cookies. Writes fail once the document would hold more
+	// than `maxCookies` cookies (50 being the least number that browsers support.)
+	// Use cookieOptions() to modify these values.
+	cookie: { path: '/', domain: null, secure: false, sameSite: 'Lax', session: false, maxCookies: 50 },
+
+	// Name of the event that will be broadcast via the $rootScope when another
+	// window changes local or session storage.
+	// Use storageEventName() to modify this value.
+	storageEventName: 'webStorage.notification.storage',
+
 	// Key used to test the availability of storage engines.
-	testKey: 'webStorage.test.key'
-});
+	testKey: 'webStorage.test.key',
 
-/**
- * Setup the webStorage service.
- */
-webStorageModule.factory('webStorage', ['$rootScope', 'defaultSettings', function ($rootScope, defaultSettings) {
-	'use strict';
+	// Name of the IndexedDB database used by the 'idb' storage engine.
+	indexedDbName: 'webStorage',
 
-	/**
-	 * Constant used for the string `undefined` (in order to help in minification.)
-	 * @private
-	 */
-	var STR_UNDEFINED = 'undefined';
+	// The policy by which values with the current prefix are evicted when a write
+	// exceeds the storage quota: 'none', 'lru', 'lfu', 'oldest' or 'expired'.
+	// Use evictionPolicy() to modify this value.
+	evictionPolicy: 'none',
 
-	/**
-	 * Warning displayed on `console.warn` when `add()` is used instead of `set()`.
-	 * @private
-	 */
-	var addDeprecatedWarning = 'angular-webstorage.js -- `add()` had been deprecated, use `set()` instead';
+	// Name of the event that will be broadcast via the $rootScope when values
+	// have been evicted in order to make room for a write.
+	// Use evictionEventName() to modify this value.
+	evictionEventName: 'webStorage.notification.evicted',
 
-	/**
-	 * Name of the event that will be broadcast over the $rootScope on errors.
-	 * @see errorName
-	 * @private
-	 */
-	var errorName = defaultSettings.errorName;
+	// Name of the event that will be broadcast via the $rootScope when values
+	// are set, removed or cleared.
+	// Use changeEventName() to modify this value.
+	changeEventName: 'webStorage.notification.change',
 
-	/**
-	 * Boolean flag indicating client support for local storage.
-	 * @private
-	 */
-	var hasLocalStorage = testLocalStorage();
+	// Values whose JSON is longer than this number of characters are compressed
+	// before they are stored in local, session or registered storage (false
+	// disables compression.)
+	// Use compression() to modify this value.
+	compression: false,
 
-	/**
-	 * Boolean flag indicating client support for session storage.
-	 * @private
-	 */
-	var hasSessionStorage = testSessionStorage();
+	// The serializer used to turn values into strings before they are stored, and
+	// back again, implementing `stringify(value)` and `parse(str)`. Defaults to
+	// (null) a JSON serializer that round-trips Dates, Maps, Sets and RegExps.
+	// Use serializer() to modify this value.
+	serializer: null,
+
+	// The schema version of the stored data, null disables versioning. Stored data
+	// with an older version is migrated when the service is instantiated.
+	// Use webStorageProvider.version() to modify this value.
+	version: null,
+
+	// What to do with the stored data when a migration fails: 'rollback' leaves it
+	// as it was, while 'quarantine' moves it aside (see webStorageProvider.version().)
+	migrationFailure: 'rollback'
+});
+
+/**
+ * Setup the webStorage service provider.
+ *
+ * The provider makes it possible to configure the service during the config
+ * phase, before the service is instantiated (and thereby before the client's
+ * support for the different storage engines is tested), e.g.:
+ *
+ *     myApp.config(['webStorageProvider', function (webStorageProvider) {
+ *         webStorageProvider.setPrefix('myApp.').setOrder(['session', 'memory']);
+ *     }]);
+ */
+webStorageModule.provider('webStorage', ['defaultSettings', function (defaultSettings) {
+	'use strict';
 
 	/**
-	 * Boolean flag indicating if local storage has been polyfilled by using cookies.
-	 * @private
-	 */
-	var isLocalStoragePolyfilled = false;
-	
-	/**
-	 * Boolean flag indicating if session storage has been polyfilled by using cookies.
-	 * @private
-	 */
-	var isSessionStoragePolyfilled = false;
-	
-	/**
-	 * Reference to the order of preference by which storage engines are iterated.
-	 * @see order
+	 * The settings used when instantiating the service, initialized from the
+	 * module's default settings.
 	 * @private
 	 */
-	var order = defaultSettings.order;
+	var settings = angular.copy(defaultSettings);
 
 	/**
-	 * Prefix used on key names when setting/getting/deleting values from the web store.
-	 * @see prefix
+	 * Storage engine adapters registered in the config phase, by name.
 	 * @private
 	 */
-	var prefix = defaultSettings.prefix;
+	var adapters = {};
 
 	/**
-	 * In-memory object used as last resort if no web storage engine is supported by the client.
+	 * Migrations registered in the config phase, by the version they migrate from.
 	 * @private
 	 */
-	var ram = {};
+	var migrations = {};
 
 	/**
-	 * The webStorage service API.
+	 * Set the prefix that is used when adding, getting or removing data.
+	 *
+	 * @param {string} newPrefix The new prefix.
+	 * @return {Object} The provider, or false on error.
+	 * @see prefix
 	 */
-	var webStorage = {
-		/** Boolean flag indicating that the client has support for some form of web storage or not. */
-		isSupported: hasLocalStorage || hasSessionStorage,
-
-		/**
-		 * The local storage API.
-		 * The API is the same as the generic API for the webStore service, but will
-		 * only operate directly on the local store. Errors will be broadcast via
-		 * the $rootScope.
-		 */
-		local: {
-			isSupported: hasLocalStorage,
-			add: addToLocal, // Deprecated: use `set`.
-			set: setInLocal,
-			get: getFromLocal,
-			has: hasInLocal,
-			key: keyInLocal,
-			length: lengthInLocal,
-			remove: removeFromLocal,
-			clear: clearLocal,
-			isPolyfilled: isLocalPolyfilled,
-		},
-
-		/**
-		 * The session storage API.
-		 * The API is the same as the generic API for the webStore service, but will
-		 * only operate directly on the session store. Errors will be broadcast via
-		 * the $rootScope.
-		 */
-		session: {
-			isSupported: hasSessionStorage,
-			add: addToSession, // Deprecated: use `set`.
-			set: setInSession,
-			get: getFromSession,
-			has: hasInSession,
-			key: keyInSession,
-			length: lengthInSession,
-			remove: removeFromSession,
-			clear: clearSession,
-			isPolyfilled: isSessionPolyfilled,
-		},
-
-		/**
-		 * The in-memory API.
-		 * The API is the same as the generic API for the webStore service, but will
-		 * only operate directly on the in-memory store. Errors will be broadcast via
-		 * the $rootScope.
-		 */
-		memory: {
-			isSupported: true,
-			add: addToMemory, // Deprecated: use `set`.
-			set: setInMemory,
-			get: getFromMemory,
-			has: hasInMemory,
-			key: keyInMemory,
-			length: lengthInMemory,
-			remove: removeFromMemory,
-			clear: clearMemory,
-			isPolyfilled: false
+	this.setPrefix = function (newPrefix) {
+		if (typeof newPrefix !== 'string') {
+			return false;
 		}
+		settings.prefix = newPrefix;
+		return this;
 	};
 
 	/**
-	 * Setter for the key/value web store.
+	 * Set the order in which the service selects what storage model to use.
 	 *
-	 * NOTE: This method will use local or session storage depending on the
-	 * client's support as well as the order set in the module constant
-	 * 'order'. If 'allEngines' is true (default is false) then the key/value
-	 * pair will be added to all available storage engines.
-	 *
-	 * @param {string} key Name to store the given value under.
-	 * @param {mixed} value The value to store.
-	 * @param {boolean} allEngines If true, add to all available engines, else
-	 *   only add to the first supported storage engine. Default is false.
-	 * @return {boolean} True on success, else false. If 'allEngines' is true
-	 *   then success is when the value was added to at least one storage engine.
-	 * @deprecated Since version 0.12.0. Will be deleted in version 1.0. Use `set` instead.
+	 * @param {Array} newOrder An array of string names of the order to query
+	 *   storage engines. Recognized names are 'local', 'session', 'memory' and
+	 *   the names of registered engines. All other names are ignored.
+	 * @return {Object} The provider.
+	 * @see order
 	 */
-	webStorage.add = function (key, value, allEngines) {
-		console.warn(addDeprecatedWarning);
-		return webStorage.set(key, value, allEngines);
+	this.setOrder = function (newOrder) {
+		settings.order = angular.isArray(newOrder) ? angular.copy(newOrder) : [];
+		return this;
 	};
 
 	/**
-	 * Setter for the key/value web store.
+	 * Set the name of the event that is broadcast over the $rootScope on errors.
 	 *
-	 * NOTE: This method will use local or session storage depending on the
-	 * client's support as well as the order set in the module constant
-	 * 'order'. If 'allEngines' is true (default is false) then the key/value
-	 * pair will be added to all available storage engines.
-	 *
-	 * @param {string} key Name to store the given value under.
-	 * @param {mixed} value The value to store.
-	 * @param {boolean} allEngines If true, add to all available engines, else
-	 *   only add to the first supported storage engine. Default is false.
-	 * @return {boolean} True on success, else false. If 'allEngines' is true
-	 *   then success is when the value was added to at least one storage engine.
+	 * @param {string} newErrorName The new error name.
+	 * @return {Object} The provider, or false on error.
+	 * @see errorName
 	 */
-	webStorage.set = function (key, value, allEngines) {
-		allEngines = typeof allEngines !== STR_UNDEFINED ? !!allEngines : false;
-		var result = false;
-		var length = order.length;
-		for (var ith = 0; ith < length; ++ith) {
-			var engine = webStorage[order[ith]];
-			if (engine.isSupported) {
-				result = engine.set(key, value) || result;
-				if (!allEngines) {
-					return result;
-				}
-			}
+	this.setErrorName = function (newErrorName) {
+		if (typeof newErrorName !== 'string') {
+			return false;
 		}
-		return result;
+		settings.errorName = newErrorName;
+		return this;
 	};
 
 	/**
-	 * Getter for the key/value web store.
+	 * Enable or disable strict mode, in which errors are thrown (or rejected)
+	 * instead of being broadcast.
 	 *
-	 * NOTE: This method will use local or session storage depending on the
-	 * client's support as well as the order set in the module constant 'order'.
-	 * If 'allEngines' is false (default is true) then only the first supported
-	 * storage engine will be queried for the specified key/value, otherwise all
-	 * engines will be queried in turn until a non-null value is returned.
-	 *
-	 * @param {string} key Name of the value to retrieve.
-	 * @param {boolean} allEngines If false only the first supported storage
-	 *   engine will be queried for the given key/value pair, otherwise all
-	 *   engines will be queried in turn until a non-null value is found.
-	 *   Default is true.
-	 * @return {mixed} The value previously added under the specified key,
-	 *   else null.
+	 * @param {boolean} newStrict True to enable strict mode.
+	 * @return {Object} The provider, or false on error.
+	 * @see strict
 	 */
-	webStorage.get = function (key, allEngines) {
-		allEngines = typeof allEngines !== STR_UNDEFINED ? !!allEngines : true;
-		var length = order.length;
-		for (var ith = 0; ith < length; ++ith) {
-			var engine = webStorage[order[ith]];
-			if (engine.isSupported) {
-				var value = engine.get(key);
-				if (!allEngines || value !== null) {
-					return value;
-				}
-			}
+	this.setStrict = function (newStrict) {
+		if (typeof newStrict !== 'boolean') {
+			return false;
 		}
-		return null;
+		settings.strict = newStrict;
+		return this;
 	};
 
 	/**
-	 * Check if a key exists.
+	 * Set the default options of the cookies set by the cookie storage engine.
+	 * The given options are merged into the current ones.
 	 *
-	 * @param {string} key Name of the key to test.
-	 * @param {boolean} allEngines If false only the first supported storage
-	 *   engine will be queried for the given key, otherwise all engines will
-	 *   be queried in turn until a non-null value is found. Default is true.
-	 * @return {boolean} True if the key exists, else false.
+	 * @param {Object} newCookieOptions May hold the `path`, `domain`, `secure`,
+	 *   `sameSite` and `session` options.
+	 * @return {Object} The provider, or false on error.
+	 * @see cookieOptions
 	 */
-	webStorage.has = function (key, allEngines) {
-		return null !== webStorage.get(key, allEngines);
+	this.setCookieOptions = function (newCookieOptions) {
+		if (!angular.isObject(newCookieOptions)) {
+			return false;
+		}
+		settings.cookie = angular.extend({}, settings.cookie, newCookieOptions);
+		return this;
 	};
 
 	/**
-	 * Return the name of the nth key in the key/value web store.
-	 * 
-	 * @param {number} num An integer representing the number of the key to 
-	 *   the return the name of.
-	 * @param {boolean} allEngines If false only the first supported storage
-	 *   engine will be queried for the given key, otherwise all engines will
-	 *   be queried in turn until a non-null value is found. Default is true.
-	 * @return {string|null} The name of the key if available or null otherwise.
+	 * Set the name of the event that is broadcast over the $rootScope when
+	 * another window changes local or session storage.
+	 *
+	 * @param {string} newStorageEventName The new event name.
+	 * @return {Object} The provider, or false on error.
+	 * @see storageEventName
 	 */
-	webStorage.key = function (index, allEngines) {
-		allEngines = typeof allEngines !== STR_UNDEFINED ? !!allEngines : true;
-		var length = order.length;
-		for (var ith = 0; ith < length; ++ith) {
-			var engine = webStorage[order[ith]];
-			if (engine.isSupported) {
-				var value = engine.key(index);
-				if (!allEngines || value !== null) {
-					return value;
-				}
-			}
+	this.setStorageEventName = function (newStorageEventName) {
+		if (typeof newStorageEventName !== 'string') {
+			return false;
 		}
-		return null;
+		settings.storageEventName = newStorageEventName;
+		return this;
 	};
 
 	/**
-	 * Returns an integer representing the number of items stored
-	 * in the key/value web store.
-	 * 
-	 * @param {number} num An integer representing the number of the key to 
-	 *   the return the name of.
-	 * @param {boolean} allEngines If false only the first supported storage
-	 *   engine will be queried for it’s length, otherwise all engines will
-	 *   be queried in turn until a non-zero value is found. Default is true.
-	 * @return {number} The number of items currently stored in 
-	 *   the key/value web store.
+	 * Set the key used to test the availability of storage engines.
+	 *
+	 * @param {string} newTestKey The new test key.
+	 * @return {Object} The provider, or false on error.
 	 */
-	webStorage.length = function (allEngines) {
-		allEngines = typeof allEngines !== STR_UNDEFINED ? !!allEngines : true;
-		var length = order.length;
-		for (var ith = 0; ith < length; ++ith) {
-			var engine = webStorage[order[ith]];
-			if (engine.isSupported) {
-				var value = engine.length();
-				if (!allEngines || value !== 0) {
-					return value;
-				} 
-			}
+	this.setTestKey = function (newTestKey) {
+		if (typeof newTestKey !== 'string' || !newTestKey) {
+			return false;
 		}
-		return 0;
+		settings.testKey = newTestKey;
+		return this;
 	};
 
 	/**
-	 * Remove a specified value from the key/value web store.
+	 * Set the name of the IndexedDB database used by the 'idb' storage engine.
 	 *
-	 * NOTE: The method will use local or session storage depending on the
-	 * client's support as well as the order set in the module constant 'order'.
-	 * If 'allEngines' is true (the default) then the specified key/value pair
-	 * will be removed from all supported storage engines, otherwise only
-	 * the first supported storage engine will be used for the removal.
-	 *
-	 * @param {string} key Name of the value to remove.
-	 * @param {boolean} allEngines If true, remove from all available engines,
-	 *   else only remove from the first supported storage engine. Default is
-	 *   true.
-	 * @return {boolean} True on success, else false. If 'allEngines' is true
-	 *   then success is when the value was removed from at least one storage
-	 *   engine.
+	 * @param {string} newIndexedDbName The new database name.
+	 * @return {Object} The provider, or false on error.
 	 */
-	webStorage.remove = function (key, allEngines) {
-		allEngines = typeof allEngines !== STR_UNDEFINED ? !!allEngines : true;
-		var result = false;
-		var length = order.length;
-		for (var ith = 0; ith < length; ++ith) {
-			var engine = webStorage[order[ith]];
-			if (engine.isSupported) {
-				result = engine.remove(key) || result;
-				if (!allEngines) {
-					return result;
-				}
-			}
+	this.setIndexedDbName = function (newIndexedDbName) {
+		if (typeof newIndexedDbName !== 'string' || !newIndexedDbName) {
+			return false;
 		}
-		return result;
+		settings.indexedDbName = newIndexedDbName;
+		return this;
 	};
 
 	/**
-	 * Remove all values in the key/value web store.
-	 *
-	 * If a prefix has been specified in the module constant 'prefix' then
-	 * only values with that specific prefix will be removed.
+	 * Set the policy by which values are evicted when a write exceeds the quota.
 	 *
-	 * NOTE: The method will use local or session storage depending on the
-	 * client's support as well as the order set in the module constant 'order'.
-	 * If 'allEngines' is true (the default) then the all key/value pairs
-	 * will be removed from all supported storage engines, otherwise only
-	 * the first supported storage engine will have its values removed.
-	 *
-	 * @param {boolean} allEngines If true, remove from all available engines,
-	 *   else only remove from the first supported storage engine. Default is
-	 *   true.
-	 * @return {boolean} True on success, else false. If 'allEngines' is true
-	 *   then success is when the all values was removed from at least one
-	 *   storage engine.
+	 * @param {string} newEvictionPolicy The new policy ('none', 'lru', 'lfu',
+	 *   'oldest' or 'expired'.)
+	 * @return {Object} The provider, or false on error.
+	 * @see evictionPolicy
 	 */
-	webStorage.clear = function (allEngines) {
-		allEngines = typeof allEngines !== STR_UNDEFINED ? !!allEngines : true;
-		var result = false;
-		var length = order.length;
-		for (var ith = 0; ith < length; ++ith) {
-			var engine = webStorage[order[ith]];
-			if (engine.isSupported) {
-				result = engine.clear() || result;
-				if (!allEngines) {
-					return result;
-				}
-			}
+	this.setEvictionPolicy = function (newEvictionPolicy) {
+		if (!isEvictionPolicy(newEvictionPolicy)) {
+			return false;
 		}
-		return result;
+		settings.evictionPolicy = newEvictionPolicy;
+		return this;
 	};
 
 	/**
-	 * Getter/setter for the error name that is used when broadcasting errors
-	 * on the $rootScope.
+	 * Set the name of the event that is broadcast over the $rootScope when
+	 * values have been evicted in order to make room for a write.
 	 *
-	 * @param {string} newErrorName (Optional) The new error name.
-	 * @return {mixed} The current (on get) or previous (on set) error name,
-	 *   or false on error.
-	 * @see defaultPrefix
+	 * @param {string} newEvictionEventName The new event name.
+	 * @return {Object} The provider, or false on error.
+	 * @see evictionEventName
 	 */
-	webStorage.errorName = function (newErrorName) {
-		var result = errorName;
-		if (typeof newErrorName !== STR_UNDEFINED) {
-			if (typeof newErrorName !== 'string') {
-				return false;
-			}
-			errorName = newErrorName;
+	this.setEvictionEventName = function (newEvictionEventName) {
+		if (typeof newEvictionEventName !== 'string') {
+			return false;
 		}
-		return result;
+		settings.evictionEventName = newEvictionEventName;
+		return this;
 	};
 
 	/**
-	 * Getter/setter for the order in which the service selects what storage
-	 * model to use.
+	 * Set the name of the event that is broadcast over the $rootScope when
+	 * values are set, removed or cleared.
 	 *
-	 * @param {Array} newOrder (Optional) An array of string names of the order
-	 *   to query storage engines. Recognized names are 'local', 'session'
-	 *   and 'memory'. All other names are ignored.
-	 * @return {Array} The current (on get) or previous (on set) order as an
-	 *   array of strings.
-	 * @see defaultOrder
+	 * @param {string} newChangeEventName The new event name.
+	 * @return {Object} The provider, or false on error.
+	 * @see changeEventName
 	 */
-	webStorage.order = function (newOrder) {
-		var result = angular.copy(order);
-		if (typeof newOrder !== STR_UNDEFINED) {
-			order = [];
-			for (var ith in newOrder) {
-				if (/^(local|session|memory)$/.test(newOrder[ith])) {
-					order.push(newOrder[ith]);
-				}
-			}
+	this.setChangeEventName = function (newChangeEventName) {
+		if (typeof newChangeEventName !== 'string') {
+			return false;
 		}
-		return result;
+		settings.changeEventName = newChangeEventName;
+		return this;
 	};
 
 	/**
-	 * Getter/setter for the prefix that is used when adding, getting or
-	 * removing data.
+	 * Set the size above which values are compressed before they are stored.
 	 *
-	 * @param {string} newPrefix (Optional) The new prefix.
-	 * @return {mixed} The current (on get) or previous (on set) prefix,
-	 *   or false on error.
-	 * @see defaultPrefix
+	 * @param {number|boolean} newCompression The number of characters above which
+	 *   values are compressed, or false in order to disable compression.
+	 * @return {Object} The provider, or false on error.
+	 * @see compression
 	 */
-	webStorage.prefix = function (newPrefix) {
-		var result = prefix;
-		if (typeof newPrefix !== STR_UNDEFINED) {
-			if (typeof newPrefix !== 'string') {
-				return false;
-			}
-			prefix = newPrefix;
+	this.setCompression = function (newCompression) {
+		if (!isCompression(newCompression)) {
+			return false;
 		}
-		return result;
+		settings.compression = newCompression;
+		return this;
 	};
 
 	/**
-	 * Add the specified key/value pair to the local web store.
-	 *
-	 * NOTE: The web store API only specifies that implementations should be able to
-	 * handle string values, this method will therefore stringify all values into
-	 * JSON strings before storing them.
+	 * Set the serializer used to turn values into strings before they are
+	 * stored, and back again.
 	 *
-	 * @param {string} key The name to store the value under.
-	 * @param {mixed} value The value to set (all values are stored as JSON.)
-	 * @return {boolean} True on success, else false.
-	 * @private
-	 * @deprecated Since version 0.12.0. Will be deleted in version 1.0. Use `setInLocal` instead.
+	 * @param {Object} newSerializer An object implementing `stringify(value)` and
+	 *   `parse(str)`, or null in order to use the default serializer.
+	 * @return {Object} The provider, or false on error.
+	 * @see serializer
 	 */
-	function addToLocal(key, value) {
-		console.warn(addDeprecatedWarning);
-		return setInLocal(key, value);
-	}
+	this.setSerializer = function (newSerializer) {
+		if (newSerializer !== null && !isSerializer(newSerializer)) {
+			return false;
+		}
+		settings.serializer = newSerializer;
+		return this;
+	};
 
 	/**
-	 * Add the specified key/value pair to the session web store.
+	 * Set the schema version of the stored data.
 	 *
-	 * NOTE: The web store API only specifies that implementations should be able to
-	 * handle string values, this method will therefore stringify all values into
-	 * JSON strings before storing them.
+	 * When the service is instantiated, the version recorded in each persistent
+	 * storage engine (local, session and registered ones) under the prefix is
+	 * compared to this version. Older data (data without a recorded version counts
+	 * as version 0) is migrated by the registered migrations, in order, and the new
+	 * version is recorded.
 	 *
-	 * @param {string} key The name to store the value under.
-	 * @param {mixed} value The value to set (all values are stored as JSON.)
-	 * @return {boolean} True on success, else false.
-	 * @private
-	 * @deprecated Since version 0.12.0. Will be deleted in version 1.0. Use `setInSession` instead.
-	 */
-	function addToSession(key, value) {
-		console.warn(addDeprecatedWarning);
-		return setInSession(key, value);
-	}
-
-	/**
-	 * Add the specified key/value pair to the in-memory store.
+	 * If a migration fails then no value is changed. With the 'rollback' policy
+	 * the data is left at its old version (and migrated again on the next
+	 * instantiation), while the 'quarantine' policy moves the raw values into an
+	 * object `{ version, values }` stored under the key 'webStorage.quarantine'
+	 * and records the new version. Either way the error is broadcast.
 	 *
-	 * NOTE: The in-memory storage does not use prefixes.
+	 * NOTE: Only the values stored by the service are migrated, i.e. values that
+	 * can't be parsed are skipped. With an empty prefix the keys may be shared
+	 * with other scripts, so quarantined values are copied rather than moved.
 	 *
-	 * @param {string} key The name to store the value under.
-	 * @param {mixed} value The value to set.
-	 * @return {boolean} True on success, else false.
-	 * @private
-	 * @deprecated Since version 0.12.0. Will be deleted in version 1.0. Use `setInMemory` instead.
+	 * @param {number} newVersion The schema version, a non-negative integer.
+	 * @param {string} onFailure (Optional) Either 'rollback' (default) or 'quarantine'.
+	 * @return {Object} The provider, or false on error.
+	 * @see registerMigration
 	 */
-	function addToMemory(key, value) {
-		console.warn(addDeprecatedWarning);
-		return setInMemory(key, value);
-	}
+	this.version = function (newVersion, onFailure) {
+		onFailure = onFailure || 'rollback';
+		if (!isVersion(newVersion) || (onFailure !== 'rollback' && onFailure !== 'quarantine')) {
+			return false;
+		}
+		settings.version = newVersion;
+		settings.migrationFailure = onFailure;
+		return this;
+	};
 
 	/**
-	 * Add or update the specified key/value pair in the local web store.
+	 * Register a migration of the stored data from the given schema version to
+	 * the next one.
 	 *
-	 * NOTE: The web store API only specifies that implementations should be able to
-	 * handle string values, this method will therefore stringify all values into
-	 * JSON strings before storing them.
+	 * The migration is called with each stored value (with the prefix) and its
+	 * key (without the prefix), and returns the migrated value, or `undefined`
+	 * in order to remove the value. Expired values aren't migrated, but removed.
 	 *
-	 * @param {string} key The name to store the value under.
-	 * @param {mixed} value The value to set (all values are stored as JSON.)
-	 * @return {boolean} True on success, else false.
-	 * @private
+	 * @param {number} fromVersion The version the migration migrates from.
+	 * @param {Function} fn The migration, `fn(value, key)`.
+	 * @return {Object} The provider, or false on error.
+	 * @see version
 	 */
-	function setInLocal(key, value) {
-		if (hasLocalStorage) {
-			try { 
-				localStorage.setItem(prefix + key, JSON.stringify(value)); 
-			} catch (e) {
-				return croak(e);
-			}
-			return true;
+	this.registerMigration = function (fromVersion, fn) {
+		if (!isVersion(fromVersion) || !angular.isFunction(fn)) {
+			return false;
 		}
-		return false;
-	}
+		migrations[fromVersion] = fn;
+		return this;
+	};
 
 	/**
-	 * Add or update the specified key/value pair in the session web store.
-	 *
-	 * NOTE: The web store API only specifies that implementations should be able to
-	 * handle string values, this method will therefore stringify all values into
-	 * JSON strings before storing them.
+	 * Register a storage engine, to be added to the service when it is
+	 * instantiated.
 	 *
-	 * @param {string} key The name to store the value under.
-	 * @param {mixed} value The value to set (all values are stored as JSON.)
-	 * @return {boolean} True on success, else false.
-	 * @private
+	 * @param {string} name The name of the storage engine.
+	 * @param {Object} adapter A Storage-like adapter (see `webStorage.registerEngine`.)
+	 * @return {Object} The provider, or false on error.
+	 * @see registerEngine
 	 */
-	function setInSession(key, value) {
-		if (hasSessionStorage) {
-			try {
-				sessionStorage.setItem(prefix + key, JSON.stringify(value));
-			} catch (e) {
-				return croak(e);
-			}
-			return true;
+	this.registerEngine = function (name, adapter) {
+		if (!isValidEngineName(name) || !isAdapter(adapter)) {
+			return false;
 		}
-		return false;
-	}
+		adapters[name] = adapter;
+		return this;
+	};
 
 	/**
-	 * Add or update the specified key/value pair in the in-memory store.
-	 *
-	 * NOTE: The in-memory storage does not use prefixes.
+	 * Checks if the given name may be used for a storage engine.
 	 *
-	 * @param {string} key The name to store the value under.
-	 * @param {mixed} value The value to set.
-	 * @return {boolean} True on success, else false.
+	 * @param {string} name The name to test.
+	 * @return {boolean} True if the name is valid, else false.
 	 * @private
 	 */
-	function setInMemory(key, value) {
-		ram[key] = value;
-		return true;
+	function isValidEngineName(name) {
+		return typeof name === 'string' && /^[A-Za-z][A-Za-z0-9_]*$/.test(name);
 	}
 
 	/**
-	 * Get the specified value from the local web store.
+	 * Checks if the given object implements the Storage-like adapter interface.
 	 *
-	 * NOTE: Since all values are stored as JSON strings, this method will parse the fetched
-	 * JSON string and return the resulting object/value.
-	 *
-	 * @param {string} key The name of the value.
-	 * @return {mixed} The value previously added under the specified key, else null.
+	 * @param {Object} adapter The adapter to test.
+	 * @return {boolean} True if the adapter is valid, else false.
 	 * @private
 	 */
-	function getFromLocal(key) {
-		if (hasLocalStorage) {
-			try {
-				var value = localStorage.getItem(prefix + key);
-				return value && JSON.parse(value);
-			} catch (e) {
-				croak(e);
-				return null;
-			}
-		}
-		return null;
+	function isAdapter(adapter) {
+		return angular.isObject(adapter) &&
+			angular.isFunction(adapter.getItem) &&
+			angular.isFunction(adapter.setItem) &&
+			angular.isFunction(adapter.removeItem) &&
+			angular.isFunction(adapter.key) &&
+			typeof adapter.length !== 'undefined';
 	}
 
 	/**
-	 * Get the specified value from the session web store.
-	 *
-	 * NOTE: Since all values are stored as JSON strings, this method will parse the fetched
-	 * JSON string and return the resulting object/value.
+	 * Checks if the given name is a recognized eviction policy.
 	 *
-	 * @param {string} key The name of the value.
-	 * @return {mixed} The value previously added under the specified key, else null.
+	 * @param {string} policy The name to test.
+	 * @return {boolean} True if the policy is recognized, else false.
 	 * @private
 	 */
-	function getFromSession(key) {
-		if (hasSessionStorage) {
-			try {
-				var value = sessionStorage.getItem(prefix + key);
-				return value && JSON.parse(value);
-			} catch (e) {
-				croak(e);
-				return null;
-			}
-		}
-		return null;
+	function isEvictionPolicy(policy) {
+		return typeof policy === 'string' && /^(none|lru|lfu|oldest|expired)$/.test(policy);
 	}
 
 	/**
-	 * Get the specified value from the in-memory store.
+	 * Checks if the given value is a valid compression threshold.
 	 *
-	 * NOTE: The in-memory storage does not use prefixes.
-	 *
-	 * @param {string} key The name of the value.
-	 * @return {mixed} The value previously added under the specified key, else null.
+	 * @param {number|boolean} threshold The value to test.
+	 * @return {boolean} True if the value is false or a non-negative number, else false.
 	 * @private
 	 */
-	function getFromMemory(key) {
-		return key in ram ? ram[key] : null;
+	function isCompression(threshold) {
+		return threshold === false || (typeof threshold === 'number' && threshold >= 0);
 	}
 
 	/**
-	 * Check if the given key exists in the local web store.
+	 * Checks if the given object implements the serializer interface.
 	 *
-	 * @param {string} key The name of the value.
-	 * @return {boolean} True if the key exists, else false.
+	 * @param {Object} serializer The serializer to test.
+	 * @return {boolean} True if the serializer is valid, else false.
 	 * @private
 	 */
-	function hasInLocal(key) {
-		return null !== getFromLocal(key);
+	function isSerializer(serializer) {
+		return angular.isObject(serializer) &&
+			angular.isFunction(serializer.stringify) &&
+			angular.isFunction(serializer.parse);
 	}
 
 	/**
-	 * Check if the given key exists in the session web store.
+	 * Checks if the given value is a valid schema version.
 	 *
-	 * @param {string} key The name of the value.
-	 * @return {boolean} True if the key exists, else false.
+	 * @param {number} version The value to test.
+	 * @return {boolean} True if the value is a non-negative integer, else false.
 	 * @private
 	 */
-	function hasInSession(key) {
-		return null !== getFromSession(key);
+	function isVersion(version) {
+		return typeof version === 'number' && version >= 0 && Math.floor(version) === version;
 	}
 
 	/**
-	 * Check if the given key exists in the in-memory store.
-	 *
-	 * @param {string} key The name of the value.
-	 * @return {boolean} True if the key exists, else false.
-	 * @private
+	 * Setup the webStorage service.
 	 */
-	function hasInMemory(key) {
-		return null !== getFromMemory(key);
-	}
+	this.$get = ['$rootScope', '$parse', '$q', function ($rootScope, $parse, $q) {
+		/**
+		 * Constant used for the string `undefined` (in order to help in minification.)
+		 * @private
+		 */
+		var STR_UNDEFINED = 'undefined';
 
-	/**
-	 * Return the name of the nth key in the local web store.
-	 * 
-	 * @param {number} num An integer representing the number
-	 *   of the key to the return the name of.
-	 * @return {string|null} The name of the key if available
-	 *   or null otherwise.
-	 */
-	function keyInLocal(num) {
-		if (hasLocalStorage) {
-			return localStorage.key(num);
-		}
-		return null;
-	}
+		/**
+		 * Name of the property used to tag stored values that carry metadata, such
+		 * as an expiry date. Values without metadata are stored as-is.
+		 * @private
+		 */
+		var META_KEY = '$$webStorage';
 
-	/**
-	 * Return the name of the nth key in the session web store.
-	 * 
-	 * @param {number} num An integer representing the number
-	 *   of the key to the return the name of.
-	 * @return {string|null} The name of the key if available
-	 *   or null otherwise.
-	 */
-	function keyInSession(num) {
-		if (hasSessionStorage) {
-			return sessionStorage.key(num);
-		}
-		return null;
-	}
+		/**
+		 * Marker prepended to compressed values. It can't start a JSON string, so
+		 * that uncompressed values are read just like they always have been.
+		 * @private
+		 */
+		var COMPRESSED_MARKER = '~lz~';
 
-	/**
-	 * Return the name of the nth key in the memory store.
-	 * 
-	 * @param {number} index An integer representing the number
-	 *   of the key to the return the name of.
-	 * @return {string|null} The name of the key if available
-	 *   or null otherwise.
-	 */
-	function keyInMemory(index) {
-		var count = 0;
-		for (var key in ram) {
-			if (ram.hasOwnProperty(key)) {
-				if (index === count) {
-					return key;
-				}
-				count += 1;
-				if (count > index) {
-					return null;
-				}
-			}
-		}
-		return null;
-	}
-	
-	/**
-	 * Returns an integer representing the number of items stored
-	 * in the local store.
-	 * 
-	 * @return {number} The number of items currently stored in 
-	 *   the local store.
-	 */
-	function lengthInLocal() {
-		if (hasLocalStorage) {
-			return localStorage.length;
-		}
-		return 0;
-	}
+		/**
+		 * Key (after the prefix) under which the schema version of the stored data is recorded.
+		 * @private
+		 */
+		var VERSION_KEY = 'webStorage.version';
 
-	/**
-	 * Returns an integer representing the number of items stored
-	 * in the session store.
-	 * 
-	 * @return {number} The number of items currently stored in 
-	 *   the session store.
-	 */
-	function lengthInSession() {
-		if (hasSessionStorage) {
-			return sessionStorage.length;
-		}
-		return 0;
-	}
+		/**
+		 * Key (after the prefix) under which data that failed to migrate is quarantined.
+		 * @private
+		 */
+		var QUARANTINE_KEY = 'webStorage.quarantine';
 
-	/**
-	 * Returns an integer representing the number of items stored
-	 * in the in-memory store.
-	 * 
-	 * @return {number} The number of items currently stored in 
-	 *   the in-memory store.
-	 */
-	function lengthInMemory() {
-		if (Object.keys) {
-			return Object.keys(ram).length;
-		}
-		var count = 0;
-		for (var key in ram) {
-			if (ram.hasOwnProperty(key)) {
-				count += 1;
-			}
-		}
-		return count;
-	}
+		/**
+		 * Namespace (after the prefix) holding the entries of the caches created via `cacheFactory()`.
+		 * @private
+		 */
+		var CACHE_NAMESPACE = 'webStorage.cache.';
 
-	/**
-	 * Remove the specified key/value pair from the local store.
-	 *
-	 * @param {string} key The name of the value to remove.
-	 * @return {boolean} True on success, else false.
-	 * @private
-	 */
-	function removeFromLocal(key) {
-		if (hasLocalStorage) {
-			try {
-				localStorage.removeItem(prefix + key);
-			} catch (e) {
-				return croak(e);
-			}
-			return true;
-		}
-		return false;
-	}
+		/**
+		 * Names of the methods of the generic and direct APIs that namespaced APIs operate on.
+		 * @see namespace
+		 * @private
+		 */
+		var NAMESPACED_METHODS = ['set', 'get', 'has', 'key', 'length', 'keys', 'values', 'entries', 'forEach',
+			'remove', 'clear', 'purgeExpired', 'usage'];
 
-	/**
-	 * Remove the specified key/value pair from the session store.
-	 *
-	 * @param {string} key The name of the value to remove.
-	 * @return {boolean} True on success, else false.
-	 * @private
-	 */
-	function removeFromSession(key) {
-		if (hasSessionStorage) {
-			try {
-				sessionStorage.removeItem(prefix + key);
-			} catch (e) {
-				return croak(e);
-			}
-			return true;
-		}
-		return false;
-	}
+		/**
+		 * Name of the object store holding all key/value pairs in the IndexedDB database.
+		 * @private
+		 */
+		var INDEXEDDB_STORE = 'keyValuePairs';
 
-	/**
-	 * Remove the specified key/value pair from the in-memory store.
-	 *
-	 * NOTE: The in-memory storage does not use prefixes.
-	 *
-	 * @param {string} key The name of the value to remove.
-	 * @return {boolean} True on success, else false.
-	 * @private
-	 */
-	function removeFromMemory(key) {
-		delete ram[key];
-		return true;
-	}
-	
-	/**
-	 * Clear all key/value pairs form the local store.
-	 *
-	 * NOTE: If a prefix has been specified in the module constant 'prefix' then only
-	 * values with that specific prefix will be removed.
-	 *
-	 * @return {boolean} True on success, else false.
-	 * @private
-	 */
-	function clearLocal() {
-		if (!hasLocalStorage) return false;
-		if (!!prefix) {
-			var prefixLength = prefix.length;
-			try {
-				for (var key in localStorage) {
-					if (key.substr(0, prefixLength) === prefix) {
-						localStorage.removeItem(key);
-					}
-				}
-			} catch (e) {
-				return croak(e);
-			}
-			return true;
-		}
+		/**
+		 * Prefixes of the names of the cookies set by the cookie storage engine
+		 * (persistent and session cookies) and the local and session storage
+		 * polyfills, keeping each store apart from the others.
+		 * @private
+		 */
+		var COOKIE_NAMESPACES = {
+			cookie: 'webStorage.cookie.',
+			cookieSession: 'webStorage.cookie-session.',
+			local: 'webStorage.local.',
+			session: 'webStorage.session.'
+		};
 
-		try {
-			localStorage.clear();
-		} catch (e) {
-			return croak(e);
-		}
+		/**
+		 * Expiry date of persistent cookies set without an expiry.
+		 * @private
+		 */
+		var COOKIE_EXPIRES_NEVER = 'Tue, 19 Jan 2038 03:14:07 GMT';
 
-		return true;
-	}
+		/**
+		 * Maximum size of a cookie's (encoded) name and value, just below the
+		 * 4096 bytes that all browsers support.
+		 * @private
+		 */
+		var COOKIE_MAX_SIZE = 4000;
 
-	/**
-	 * Clear all key/value pairs form the session store.
-	 *
-	 * NOTE: If a prefix has been specified in the module constant 'prefix' then only
-	 * values with that specific prefix will be removed.
-	 *
-	 * @return {boolean} True on success, else false.
-	 * @private
-	 */
-	function clearSession() {
-		if (!hasSessionStorage) return false;
-		if (!!prefix) {
+		/**
+		 * Marker recording the number of chunks of a value that is split across
+		 * several cookies (see `createCookieStore`.)
+		 * @private
+		 */
+		var COOKIE_CHUNKS_MARKER = '~chunks~';
+
+		/**
+		 * Warning displayed on `console.warn` when `add()` is used instead of `set()`.
+		 * @private
+		 */
+		var addDeprecatedWarning = 'angular-webstorage.js -- `add()` had been deprecated, use `set()` instead';
+
+		/**
+		 * Name of the event that will be broadcast over the $rootScope on errors.
+		 * @see errorName
+		 * @private
+		 */
+		var errorName = settings.errorName;
+
+		/**
+		 * Name of the event that will be broadcast over the $rootScope when
+		 * another window changes local or session storage.
+		 * @see storageEventName
+		 * @private
+		 */
+		var storageEventName = settings.storageEventName;
+
+		/**
+		 * Name of the event that will be broadcast over the $rootScope when
+		 * values have been evicted in order to make room for a write.
+		 * @see evictionEventName
+		 * @private
+		 */
+		var evictionEventName = settings.evictionEventName;
+
+		/**
+		 * Name of the event that will be broadcast over the $rootScope when
+		 * values are set, removed or cleared.
+		 * @see changeEventName
+		 * @private
+		 */
+		var changeEventName = settings.changeEventName;
+
+		/**
+		 * The policy by which values are evicted when a write exceeds the quota.
+		 * @see evictionPolicy
+		 * @private
+		 */
+		var evictionPolicy = settings.evictionPolicy;
+
+		/**
+		 * The number of characters above which values are compressed, or false.
+		 * @see compression
+		 * @private
+		 */
+		var compression = settings.compression;
+
+		/**
+		 * The default serializer, i.e. JSON that round-trips typed values.
+		 * @see serializer
+		 * @private
+		 */
+		var typedJson = { stringify: stringifyTyped, parse: parseTyped };
+
+		/**
+		 * The serializer used to turn values into strings and back again.
+		 * @see serializer
+		 * @private
+		 */
+		var serializer = settings.serializer || typedJson;
+
+		/**
+		 * The default options of the cookies set by the cookie storage engine.
+		 * @see cookieOptions
+		 * @private
+		 */
+		var cookieOptions = angular.extend({}, settings.cookie);
+
+		/**
+		 * Boolean flag indicating if local storage has been polyfilled by using cookies.
+		 * @private
+		 */
+		var isLocalStoragePolyfilled = false;
+
+		/**
+		 * Boolean flag indicating if session storage has been polyfilled by using cookies.
+		 * @private
+		 */
+		var isSessionStoragePolyfilled = false;
+
+		/**
+		 * Reference to the order of preference by which storage engines are iterated.
+		 * NOTE: The configured order is applied once all storage engines are registered.
+		 * @see order
+		 * @private
+		 */
+		var order = [];
+
+		/**
+		 * Names of all storage engines, built-in as well as registered ones.
+		 * @see engines
+		 * @private
+		 */
+		var engineNames = ['local', 'session', 'memory', 'cookie', 'idb'];
+
+		/**
+		 * Prototype of the namespaced APIs, holding a getter for the API of every
+		 * storage engine (see `addNamespaceEngine()`.)
+		 * @see namespace
+		 * @private
+		 */
+		var namespacePrototype = {};
+
+		/**
+		 * Prefix used on key names when setting/getting/deleting values from the web store.
+		 * @see prefix
+		 * @private
+		 */
+		var prefix = settings.prefix;
+
+		/**
+		 * Boolean flag indicating client support for local storage.
+		 * @private
+		 */
+		var hasLocalStorage = testLocalStorage();
+
+		/**
+		 * Boolean flag indicating client support for session storage.
+		 * @private
+		 */
+		var hasSessionStorage = testSessionStorage();
+
+		/**
+		 * Boolean flag indicating client support for IndexedDB.
+		 * @private
+		 */
+		var hasIndexedDb = testIndexedDb();
+
+		/**
+		 * The Storage-like adapter of the cookie storage engine.
+		 * @private
+		 */
+		var cookieAdapter = createCookieAdapter();
+
+		/**
+		 * Boolean flag indicating client support for cookies.
+		 * @private
+		 */
+		var hasCookies = testCookies();
+
+		/**
+		 * Promise of the opened IndexedDB database, set on first use.
+		 * @see openIndexedDb
+		 * @private
+		 */
+		var indexedDb = null;
+
+		/**
+		 * In-memory object used as last resort if no web storage engine is supported by the client.
+		 * @private
+		 */
+		var ram = {};
+
+		/**
+		 * Boolean flag indicating that errors should be thrown (or rejected) instead
+		 * of being broadcast, set while the asynchronous generic API is operating.
+		 * @see throwing
+		 * @private
+		 */
+		var throwErrors = false;
+
+		/**
+		 * Boolean flag indicating strict mode, i.e. that errors are always thrown
+		 * (or rejected) instead of being broadcast.
+		 * @see strict
+		 * @private
+		 */
+		var strict = settings.strict;
+
+		/**
+		 * The transaction in progress, if any, holding the transaction object handed
+		 * to the transaction's function and the change events that are broadcast once
+		 * the transaction is committed.
+		 * @see transaction
+		 * @private
+		 */
+		var activeTransaction = null;
+
+		/**
+		 * Functions returning the adapter of each synchronous storage engine (except
+		 * the in-memory storage), by name.
+		 * @private
+		 */
+		var engineStores = {};
+
+		/**
+		 * The caches created via `cacheFactory()`, by name.
+		 * @private
+		 */
+		var caches = {};
+
+		/**
+		 * Counter used to order the accesses tracked for the 'lru' eviction policy.
+		 * @private
+		 */
+		var accessClock = 0;
+
+		/**
+		 * The webStorage service API.
+		 */
+		var webStorage = {
+			/** Boolean flag indicating that the client has support for some form of web storage or not. */
+			isSupported: hasLocalStorage || hasSessionStorage,
+
+			/**
+			 * The local storage API.
+			 * The API is the same as the generic API for the webStore service, but will
+			 * only operate directly on the local store. Errors will be broadcast via
+			 * the $rootScope.
+			 */
+			local: angular.extend(createEngine(function () { return window.localStorage; }, hasLocalStorage, 'local'), {
+				add: addToLocal, // Deprecated: use `set`.
+				isPolyfilled: isLocalPolyfilled
+			}),
+
+			/**
+			 * The session storage API.
+			 * The API is the same as the generic API for the webStore service, but will
+			 * only operate directly on the session store. Errors will be broadcast via
+			 * the $rootScope.
+			 */
+			session: angular.extend(createEngine(function () { return window.sessionStorage; }, hasSessionStorage, 'session'), {
+				add: addToSession, // Deprecated: use `set`.
+				isPolyfilled: isSessionPolyfilled
+			}),
+
+			/**
+			 * The in-memory API.
+			 * The API is the same as the generic API for the webStore service, but will
+			 * only operate directly on the in-memory store. Errors will be broadcast via
+			 * the $rootScope.
+			 */
+			memory: addEnumeration({
+				isSupported: true,
+				add: addToMemory, // Deprecated: use `set`.
+				set: setInMemory,
+				get: getFromMemory,
+				has: hasInMemory,
+				key: keyInMemory,
+				length: lengthInMemory,
+				keys: keysInMemory,
+				remove: removeFromMemory,
+				clear: clearMemory,
+				purgeExpired: purgeExpiredFromMemory,
+				usage: usageOfMemory,
+				isPolyfilled: false
+			}),
+
+			/**
+			 * The cookie API.
+			 * The API is the same as the direct API for local storage, but stores each
+			 * value in a cookie of its own. Errors will be broadcast via the $rootScope.
+			 */
+			cookie: angular.extend(createEngine(function () { return cookieAdapter; }, hasCookies, 'cookie'), {
+				isPolyfilled: function () { return false; }
+			}),
+
+			/**
+			 * The IndexedDB API.
+			 * The API is the same as the direct API for the local store, but all methods
+			 * return promises, resolved inside a digest, of the values returned by the
+			 * local store's methods. Errors will be broadcast via the $rootScope.
+			 */
+			idb: {
+				isSupported: hasIndexedDb,
+				isAsync: true,
+				set: setInIndexedDb,
+				get: getFromIndexedDb,
+				has: hasInIndexedDb,
+				key: keyInIndexedDb,
+				length: lengthInIndexedDb,
+				keys: keysInIndexedDb,
+				values: valuesInIndexedDb,
+				entries: entriesInIndexedDb,
+				forEach: forEachInIndexedDb,
+				remove: removeFromIndexedDb,
+				clear: clearIndexedDb,
+				purgeExpired: purgeExpiredFromIndexedDb,
+				usage: usageOfIndexedDb,
+				isPolyfilled: function () { return $q.when(false); }
+			}
+		};
+
+		/**
+		 * The asynchronous generic API.
+		 * The API mirrors the generic API for the webStore service, but all methods
+		 * return promises and asynchronous storage engines, such as 'idb', may be
+		 * used in the order. Errors are not broadcast via the $rootScope, instead
+		 * the promises are rejected with the error.
+		 */
+		webStorage.async = {
+			set: setAsync,
+			get: getAsync,
+			has: hasAsync,
+			remove: removeAsync,
+			clear: clearAsync,
+			keys: keysAsync
+		};
+
+		/**
+		 * Setter for the key/value web store.
+		 *
+		 * NOTE: This method will use local or session storage depending on the
+		 * client's support as well as the order set in the module constant
+		 * 'order'. If 'allEngines' is true (default is false) then the key/value
+		 * pair will be added to all available storage engines.
+		 *
+		 * @param {string} key Name to store the given value under.
+		 * @param {mixed} value The value to store.
+		 * @param {boolean} allEngines If true, add to all available engines, else
+		 *   only add to the first supported storage engine. Default is false.
+		 * @return {boolean} True on success, else false. If 'allEngines' is true
+		 *   then success is when the value was added to at least one storage engine.
+		 * @deprecated Since version 0.12.0. Will be deleted in version 1.0. Use `set` instead.
+		 */
+		webStorage.add = function (key, value, allEngines) {
+			console.warn(addDeprecatedWarning);
+			return webStorage.set(key, value, allEngines);
+		};
+
+		/**
+		 * Setter for the key/value web store.
+		 *
+		 * NOTE: This method will use local or session storage depending on the
+		 * client's support as well as the order set in the module constant
+		 * 'order'. If 'allEngines' is true (default is false) then the key/value
+		 * pair will be added to all available storage engines.
+		 *
+		 * The third argument may also be an options object, holding `allEngines`
+		 * as well as an expiry given either as `ttl` (time to live in milliseconds)
+		 * or `expires` (a Date or a timestamp in milliseconds.) Expired values
+		 * will read as null. It may also hold an eviction `priority` (a number,
+		 * values with lower priorities are evicted first) and the `pinned` flag
+		 * (pinned values are never evicted), see `evictionPolicy()`.
+		 *
+		 * @param {string} key Name to store the given value under.
+		 * @param {mixed} value The value to store.
+		 * @param {boolean|Object} allEngines If true, add to all available engines, else
+		 *   only add to the first supported storage engine. Default is false. May
+		 *   also be an options object as described above.
+		 * @return {boolean} True on success, else false. If 'allEngines' is true
+		 *   then success is when the value was added to at least one storage engine.
+		 */
+		webStorage.set = function (key, value, allEngines) {
+			var options;
+			if (angular.isObject(allEngines)) {
+				options = allEngines;
+				allEngines = options.allEngines;
+			}
+			allEngines = typeof allEngines !== STR_UNDEFINED ? !!allEngines : false;
+			var result = false;
+			var length = order.length;
+			for (var ith = 0; ith < length; ++ith) {
+				var engine = webStorage[order[ith]];
+				if (engine.isSupported && !engine.isAsync) {
+					result = engine.set(key, value, options) || result;
+					if (!allEngines) {
+						return result;
+					}
+				}
+			}
+			return result;
+		};
+
+		/**
+		 * Getter for the key/value web store.
+		 *
+		 * NOTE: This method will use local or session storage depending on the
+		 * client's support as well as the order set in the module constant 'order'.
+		 * If 'allEngines' is false (default is true) then only the first supported
+		 * storage engine will be queried for the specified key/value, otherwise all
+		 * engines will be queried in turn until a non-null value is returned.
+		 *
+		 * @param {string} key Name of the value to retrieve.
+		 * @param {boolean} allEngines If false only the first supported storage
+		 *   engine will be queried for the given key/value pair, otherwise all
+		 *   engines will be queried in turn until a non-null value is found.
+		 *   Default is true.
+		 * @return {mixed} The value previously added under the specified key,
+		 *   else null.
+		 */
+		webStorage.get = function (key, allEngines) {
+			allEngines = typeof allEngines !== STR_UNDEFINED ? !!allEngines : true;
+			var length = order.length;
+			for (var ith = 0; ith < length; ++ith) {
+				var engine = webStorage[order[ith]];
+				if (engine.isSupported && !engine.isAsync) {
+					var value = engine.get(key);
+					if (!allEngines || value !== null) {
+						return value;
+					}
+				}
+			}
+			return null;
+		};
+
+		/**
+		 * Check if a key exists.
+		 *
+		 * @param {string} key Name of the key to test.
+		 * @param {boolean} allEngines If false only the first supported storage
+		 *   engine will be queried for the given key, otherwise all engines will
+		 *   be queried in turn until a non-null value is found. Default is true.
+		 * @return {boolean} True if the key exists, else false.
+		 */
+		webStorage.has = function (key, allEngines) {
+			return null !== webStorage.get(key, allEngines);
+		};
+
+		/**
+		 * Return the name of the nth key with the current prefix in the key/value
+		 * web store, without the prefix.
+		 * 
+		 * @param {number} num An integer representing the number of the key to 
+		 *   the return the name of.
+		 * @param {boolean} allEngines If false only the first supported storage
+		 *   engine will be queried for the given key, otherwise all engines will
+		 *   be queried in turn until a non-null value is found. Default is true.
+		 * @return {string|null} The name of the key if available or null otherwise.
+		 */
+		webStorage.key = function (index, allEngines) {
+			allEngines = typeof allEngines !== STR_UNDEFINED ? !!allEngines : true;
+			var length = order.length;
+			for (var ith = 0; ith < length; ++ith) {
+				var engine = webStorage[order[ith]];
+				if (engine.isSupported && !engine.isAsync) {
+					var value = engine.key(index);
+					if (!allEngines || value !== null) {
+						return value;
+					}
+				}
+			}
+			return null;
+		};
+
+		/**
+		 * Returns an integer representing the number of items with the current
+		 * prefix stored in the key/value web store.
+		 * 
+		 * @param {number} num An integer representing the number of the key to 
+		 *   the return the name of.
+		 * @param {boolean} allEngines If false only the first supported storage
+		 *   engine will be queried for it’s length, otherwise all engines will
+		 *   be queried in turn until a non-zero value is found. Default is true.
+		 * @return {number} The number of items currently stored in 
+		 *   the key/value web store.
+		 */
+		webStorage.length = function (allEngines) {
+			allEngines = typeof allEngines !== STR_UNDEFINED ? !!allEngines : true;
+			var length = order.length;
+			for (var ith = 0; ith < length; ++ith) {
+				var engine = webStorage[order[ith]];
+				if (engine.isSupported && !engine.isAsync) {
+					var value = engine.length();
+					if (!allEngines || value !== 0) {
+						return value;
+					} 
+				}
+			}
+			return 0;
+		};
+
+		/**
+		 * Return the names of all keys with the current prefix, without the prefix.
+		 *
+		 * @param {boolean} allEngines If true, the keys of all available engines
+		 *   are returned (without duplicates), else only the keys of the first
+		 *   supported storage engine. Default is true.
+		 * @return {Array} The key names.
+		 */
+		webStorage.keys = function (allEngines) {
+			allEngines = typeof allEngines !== STR_UNDEFINED ? !!allEngines : true;
+			var keys = [];
+			var length = order.length;
+			for (var ith = 0; ith < length; ++ith) {
+				var engine = webStorage[order[ith]];
+				if (engine.isSupported && !engine.isAsync) {
+					keys = unionResult(keys, engine.keys());
+					if (!allEngines) {
+						break;
+					}
+				}
+			}
+			return keys;
+		};
+
+		/**
+		 * Return the values of all keys with the current prefix, i.e. the value
+		 * returned by `get()` for each key returned by `keys()`.
+		 *
+		 * @param {boolean} allEngines If true, query all available engines, else
+		 *   only the first supported storage engine. Default is true.
+		 * @return {Array} The values, in the order of `keys()`.
+		 */
+		webStorage.values = function (allEngines) {
+			var keys = webStorage.keys(allEngines);
+			var values = [];
+			for (var ith = 0; ith < keys.length; ++ith) {
+				values.push(webStorage.get(keys[ith], allEngines));
+			}
+			return values;
+		};
+
+		/**
+		 * Return all key/value pairs with the current prefix, i.e. each key
+		 * returned by `keys()` together with the value returned by `get()`.
+		 *
+		 * @param {boolean} allEngines If true, query all available engines, else
+		 *   only the first supported storage engine. Default is true.
+		 * @return {Array} The `[key, value]` pairs, keys without the prefix.
+		 */
+		webStorage.entries = function (allEngines) {
+			var keys = webStorage.keys(allEngines);
+			var entries = [];
+			for (var ith = 0; ith < keys.length; ++ith) {
+				entries.push([keys[ith], webStorage.get(keys[ith], allEngines)]);
+			}
+			return entries;
+		};
+
+		/**
+		 * Call the given function with each key/value pair with the current prefix
+		 * (see `entries()`.)
+		 *
+		 * @param {Function} fn Called as `fn(value, key)`, key without the prefix.
+		 * @param {boolean} allEngines If true, query all available engines, else
+		 *   only the first supported storage engine. Default is true.
+		 */
+		webStorage.forEach = function (fn, allEngines) {
+			var entries = webStorage.entries(allEngines);
+			for (var ith = 0; ith < entries.length; ++ith) {
+				fn(entries[ith][1], entries[ith][0]);
+			}
+		};
+
+		/**
+		 * Remove a specified value from the key/value web store.
+		 *
+		 * NOTE: The method will use local or session storage depending on the
+		 * client's support as well as the order set in the module constant 'order'.
+		 * If 'allEngines' is true (the default) then the specified key/value pair
+		 * will be removed from all supported storage engines, otherwise only
+		 * the first supported storage engine will be used for the removal.
+		 *
+		 * @param {string} key Name of the value to remove.
+		 * @param {boolean} allEngines If true, remove from all available engines,
+		 *   else only remove from the first supported storage engine. Default is
+		 *   true.
+		 * @return {boolean} True on success, else false. If 'allEngines' is true
+		 *   then success is when the value was removed from at least one storage
+		 *   engine.
+		 */
+		webStorage.remove = function (key, allEngines) {
+			allEngines = typeof allEngines !== STR_UNDEFINED ? !!allEngines : true;
+			var result = false;
+			var length = order.length;
+			for (var ith = 0; ith < length; ++ith) {
+				var engine = webStorage[order[ith]];
+				if (engine.isSupported && !engine.isAsync) {
+					result = engine.remove(key) || result;
+					if (!allEngines) {
+						return result;
+					}
+				}
+			}
+			return result;
+		};
+
+		/**
+		 * Remove all values in the key/value web store.
+		 *
+		 * If a prefix has been specified in the module constant 'prefix' then
+		 * only values with that specific prefix will be removed.
+		 *
+		 * NOTE: The method will use local or session storage depending on the
+		 * client's support as well as the order set in the module constant 'order'.
+		 * If 'allEngines' is true (the default) then the all key/value pairs
+		 * will be removed from all supported storage engines, otherwise only
+		 * the first supported storage engine will have its values removed.
+		 *
+		 * @param {boolean} allEngines If true, remove from all available engines,
+		 *   else only remove from the first supported storage engine. Default is
+		 *   true.
+		 * @return {boolean} True on success, else false. If 'allEngines' is true
+		 *   then success is when the all values was removed from at least one
+		 *   storage engine.
+		 */
+		webStorage.clear = function (allEngines) {
+			allEngines = typeof allEngines !== STR_UNDEFINED ? !!allEngines : true;
+			var result = false;
+			var length = order.length;
+			for (var ith = 0; ith < length; ++ith) {
+				var engine = webStorage[order[ith]];
+				if (engine.isSupported && !engine.isAsync) {
+					result = engine.clear() || result;
+					if (!allEngines) {
+						return result;
+					}
+				}
+			}
+			return result;
+		};
+
+		/**
+		 * Remove all expired values from the key/value web store.
+		 *
+		 * If a prefix has been specified in the module constant 'prefix' then
+		 * only values with that specific prefix will be examined.
+		 *
+		 * @param {boolean} allEngines If true, purge all available engines,
+		 *   else only purge the first supported storage engine. Default is true.
+		 * @return {number} The number of expired values that were removed.
+		 */
+		webStorage.purgeExpired = function (allEngines) {
+			allEngines = typeof allEngines !== STR_UNDEFINED ? !!allEngines : true;
+			var result = 0;
+			var length = order.length;
+			for (var ith = 0; ith < length; ++ith) {
+				var engine = webStorage[order[ith]];
+				if (engine.isSupported && !engine.isAsync) {
+					result += engine.purgeExpired();
+					if (!allEngines) {
+						return result;
+					}
+				}
+			}
+			return result;
+		};
+
+		/**
+		 * Report the storage used by the key/value pairs with the current prefix.
+		 *
+		 * The report holds the number of bytes `used` by all queried engines, the
+		 * number of bytes `remaining` in the first supported engine (i.e. the engine
+		 * `set()` writes to, null if unknown) and the individual reports of each
+		 * queried engine by name under `engines` (see `webStorage.local.usage`.)
+		 *
+		 * @param {boolean} allEngines If true, report on all available engines,
+		 *   else only on the first supported storage engine. Default is true.
+		 * @return {Object} The usage report.
+		 */
+		webStorage.usage = function (allEngines) {
+			allEngines = typeof allEngines !== STR_UNDEFINED ? !!allEngines : true;
+			var result = { used: 0, remaining: null, engines: {} };
+			var first = true;
+			var length = order.length;
+			for (var ith = 0; ith < length; ++ith) {
+				var engine = webStorage[order[ith]];
+				if (engine.isSupported && !engine.isAsync) {
+					var report = engine.usage();
+					if (first) {
+						result.remaining = report.remaining;
+						first = false;
+					}
+					result.engines[order[ith]] = report;
+					result.used += report.used;
+					if (!allEngines) {
+						return result;
+					}
+				}
+			}
+			return result;
+		};
+
+		/**
+		 * Run the given function as a transaction, i.e. the values it sets and
+		 * removes via the transaction object are either all written or none are.
+		 *
+		 * The transaction object offers `set`, `remove`, `get` and `has`, taking the
+		 * same arguments as the generic methods. Before a key is first written, its
+		 * values in all synchronous storage engines (according to 'order') are
+		 * recorded. If a write fails, or the function throws, the recorded values
+		 * are restored and the error is broadcast (or thrown in strict mode.) Change
+		 * events (see `changeEventName()`) are only broadcast once the transaction
+		 * has been committed.
+		 *
+		 * NOTE: Only writes made via the transaction object are rolled back, and
+		 * values evicted in order to make room for a write (see `evictionPolicy()`)
+		 * aren't restored. A transaction started within a transaction is part of it.
+		 *
+		 * @param {Function} fn Called with the transaction object.
+		 * @return {boolean} True if the transaction was committed, else false.
+		 */
+		webStorage.transaction = function (fn) {
+			if (activeTransaction !== null) {
+				fn(activeTransaction.tx);
+				return true;
+			}
+
+			var snapshots = [];
+			var recorded = {};
+			var record = function (key) {
+				for (var ith = 0; ith < order.length; ++ith) {
+					var store = rawStoreOf(order[ith]);
+					var id = order[ith] + ':' + prefix + key;
+					if (store && !recorded.hasOwnProperty(id)) {
+						recorded[id] = true;
+						snapshots.push({ store: store, key: prefix + key, data: store.getItem(prefix + key) });
+					}
+				}
+			};
+			var tx = {
+				set: function (key, value, allEngines) {
+					record(key);
+					if (!webStorage.set(key, value, allEngines)) {
+						throw storageError('UNAVAILABLE', 'No storage engine is available for "' + key + '"');
+					}
+					return true;
+				},
+				remove: function (key, allEngines) {
+					record(key);
+					return webStorage.remove(key, allEngines);
+				},
+				get: function (key, allEngines) {
+					return webStorage.get(key, allEngines);
+				},
+				has: function (key, allEngines) {
+					return webStorage.has(key, allEngines);
+				}
+			};
+
+			activeTransaction = { tx: tx, changes: [] };
+			try {
+				throwing(function () {
+					fn(tx);
+				});
+			} catch (e) {
+				activeTransaction = null;
+				for (var ith = snapshots.length - 1; ith >= 0; --ith) {
+					restoreSnapshot(snapshots[ith]);
+				}
+				return croak(e, 'transaction');
+			}
+
+			var changes = activeTransaction.changes;
+			activeTransaction = null;
+			for (var jth = 0; jth < changes.length; ++jth) {
+				$rootScope.$broadcast(changeEventName, changes[jth]);
+			}
+			return true;
+		};
+
+		/**
+		 * Two-way bind a scope property to a key/value in the web store.
+		 *
+		 * The stored value (or a copy of `options.defaultValue` if nothing has
+		 * been stored) is assigned to the scope property, which is then deep
+		 * watched and written back to storage on every change. Setting the
+		 * property to `undefined` (or null) removes the key/value pair, while a
+		 * default value is stored on the first digest. Changes made to the key
+		 * by other windows are assigned to the scope property, which is set to
+		 * the default value (or `undefined`) when the key is removed.
+		 *
+		 * The binding is removed when the returned function is called, or when
+		 * the scope is destroyed.
+		 *
+		 * @param {Object} scope The scope holding the property.
+		 * @param {string} property The property (an assignable expression) to bind.
+		 * @param {string} key The name to store the value under.
+		 * @param {Object} options (Optional) May hold `engine` (the name of the
+		 *   storage engine to use, defaults to the generic API), `defaultValue`
+		 *   as well as the options accepted by `set()`, e.g. `ttl`.
+		 * @return {Function|boolean} The unbind function, or false if the
+		 *   specified engine is unknown.
+		 */
+		webStorage.bind = function (scope, property, key, options) {
+			options = options || {};
+			var store = options.engine ? webStorage[options.engine] : webStorage;
+			if (!store || !angular.isFunction(store.set)) {
+				return false;
+			}
+
+			// The options passed on to `set()`, i.e. all but the ones of `bind()`.
+			var setOptions = angular.extend({}, options);
+			delete setOptions.engine;
+			delete setOptions.defaultValue;
+
+			var expression = $parse(property);
+			var stored = null; // The value last known to be in storage.
+			var load = function (changed) {
+				var value = stored = store.get(key);
+				if (value === null && typeof options.defaultValue !== STR_UNDEFINED) {
+					value = angular.copy(options.defaultValue);
+				}
+				if (value !== null) {
+					expression.assign(scope, value);
+				} else if (changed) {
+					// The key was removed by another window.
+					expression.assign(scope, undefined);
+				}
+			};
+			load(false);
+
+			var unwatch = scope.$watch(property, function (newValue) {
+				var value = typeof newValue === STR_UNDEFINED ? null : newValue;
+				if (angular.equals(value, stored)) {
+					return;
+				}
+				if (value === null) {
+					store.remove(key);
+					stored = null;
+				} else if (store.set(key, newValue, setOptions)) {
+					stored = angular.copy(value);
+				}
+			}, true);
+
+			var unlisten = scope.$on(storageEventName, function (event, change) {
+				if ((change.key === key || change.key === null) &&
+						(!options.engine || options.engine === change.engine)) {
+					load(true);
+				}
+			});
+
+			var unbind = function () {
+				unwatch();
+				unlisten();
+				undestroy();
+			};
+			var undestroy = scope.$on('$destroy', unbind);
+			return unbind;
+		};
+
+		/**
+		 * Create a namespaced API, i.e. an object with the same generic and direct
+		 * APIs as the service itself, but with its own isolated prefix and order.
+		 *
+		 * The namespace's prefix is the service's current prefix followed by the
+		 * given name and a dot, e.g. `webStorage.namespace('checkout')` operates
+		 * on keys prefixed by `'checkout.'` (given the default empty prefix.)
+		 * Clearing a namespace only removes the keys within that namespace. The
+		 * direct APIs of all storage engines, including the ones registered later
+		 * on, are available on the namespace as well.
+		 *
+		 * @param {string} name The name of the namespace.
+		 * @param {Object} options (Optional) May hold the `order` of the namespace,
+		 *   defaults to the service's current order.
+		 * @return {Object} The namespaced API, or false on error.
+		 */
+		webStorage.namespace = function (name, options) {
+			if (typeof name !== 'string' || !name) {
+				return false;
+			}
+			options = options || {};
+
+			var context = {
+				prefix: prefix + name + '.',
+				order: options.order ? sanitizeOrder(options.order) : angular.copy(order)
+			};
+
+			var api = angular.extend(Object.create(namespacePrototype), {
+				prefix: function (newPrefix) {
+					var result = context.prefix;
+					if (typeof newPrefix !== STR_UNDEFINED) {
+						if (typeof newPrefix !== 'string') {
+							return false;
+						}
+						context.prefix = newPrefix;
+					}
+					return result;
+				},
+				order: function (newOrder) {
+					var result = angular.copy(context.order);
+					if (typeof newOrder !== STR_UNDEFINED) {
+						context.order = sanitizeOrder(newOrder);
+					}
+					return result;
+				}
+			});
+			Object.defineProperty(api, 'isSupported', {
+				enumerable: true,
+				get: function () { return webStorage.isSupported; }
+			});
+
+			// The direct APIs are created once they are first used (see `addNamespaceEngine()`.)
+			var engines = {};
+			api.$$engine = function (engineName) {
+				if (!engines.hasOwnProperty(engineName)) {
+					engines[engineName] = namespacedEngine(context, engineName);
+				}
+				return engines[engineName];
+			};
+
+			for (var ith = 0; ith < NAMESPACED_METHODS.length; ++ith) {
+				api[NAMESPACED_METHODS[ith]] = inContext(context, webStorage[NAMESPACED_METHODS[ith]]);
+			}
+			api.encrypt = inContext(context, webStorage.encrypt);
+			api.transaction = inContext(context, webStorage.transaction);
+			return api;
+		};
+
+		/**
+		 * Create a persistent cache implementing the `$cacheFactory` cache interface,
+		 * so that it may be handed to `$http` or `$resource` as `cache`.
+		 *
+		 * The entries are stored in the given synchronous storage engine, under the
+		 * current prefix followed by the cache's own namespace. Pending `$http`
+		 * promises are only held in memory, since they can't be serialized. Once the
+		 * cache holds more than `options.capacity` entries, the least recently used
+		 * ones are removed (entries loaded from storage count as used in the order
+		 * they are enumerated.)
+		 *
+		 * @param {string} name The name of the cache.
+		 * @param {Object} options (Optional) May hold the `engine` to store the entries
+		 *   in (defaults to 'local'), the `capacity` of the cache and the `ttl` of its
+		 *   entries (in milliseconds.)
+		 * @return {Object} The cache, or false on error (e.g. if a cache with the
+		 *   given name already exists.)
+		 */
+		webStorage.cacheFactory = function (name, options) {
+			options = angular.extend({ engine: 'local' }, options);
+			if (typeof name !== 'string' || !name || caches.hasOwnProperty(name) ||
+					indexOf(engineNames, options.engine) === -1 || webStorage[options.engine].isAsync) {
+				return false;
+			}
+
+			var store = webStorage.namespace(CACHE_NAMESPACE + name)[options.engine];
+			var setOptions = angular.isNumber(options.ttl) ? { ttl: options.ttl } : undefined;
+			var capacity = angular.isNumber(options.capacity) && options.capacity > 0 ? options.capacity : null;
+			var promises = {};
+			var lru = store.keys();
+
+			var touch = function (key) {
+				forget(key);
+				lru.push(key);
+			};
+			var forget = function (key) {
+				var index = indexOf(lru, key);
+				if (index !== -1) {
+					lru.splice(index, 1);
+				}
+			};
+
+			var cache = {
+				put: function (key, value) {
+					if (typeof value === STR_UNDEFINED) {
+						return value;
+					}
+					key = String(key);
+					if (value && angular.isFunction(value.then)) {
+						promises[key] = value;
+						return value;
+					}
+					delete promises[key];
+					if (store.set(key, value, setOptions)) {
+						touch(key);
+						while (capacity !== null && lru.length > capacity) {
+							store.remove(lru.shift());
+						}
+					}
+					return value;
+				},
+				get: function (key) {
+					key = String(key);
+					if (promises.hasOwnProperty(key)) {
+						return promises[key];
+					}
+					var value = store.get(key);
+					if (value === null) {
+						forget(key);
+						return undefined;
+					}
+					touch(key);
+					return value;
+				},
+				remove: function (key) {
+					key = String(key);
+					delete promises[key];
+					forget(key);
+					store.remove(key);
+				},
+				removeAll: function () {
+					promises = {};
+					lru = [];
+					store.clear();
+				},
+				info: function () {
+					return angular.extend({}, options, { id: name, size: store.length() });
+				},
+				destroy: function () {
+					cache.removeAll();
+					delete caches[name];
+				}
+			};
+			caches[name] = cache;
+			return cache;
+		};
+
+		/**
+		 * Return the cache with the given name, created via `cacheFactory()`.
+		 *
+		 * @param {string} name The name of the cache.
+		 * @return {Object|undefined} The cache, or undefined if no such cache exists.
+		 */
+		webStorage.cacheFactory.get = function (name) {
+			return caches.hasOwnProperty(name) ? caches[name] : undefined;
+		};
+
+		/**
+		 * Create an encrypted API for the given synchronous storage engine, i.e. an
+		 * object with the same direct API as the engine, whose values are encrypted
+		 * before they are stored and decrypted when they are loaded. The API operates
+		 * on the keys with the current prefix (or the namespace's prefix, when created
+		 * via a namespace's `encrypt()`.)
+		 *
+		 * Since ciphers (such as WebCrypto) are asynchronous, all stored values are
+		 * decrypted into memory when the API is created, and its `ready` promise is
+		 * resolved once they are loaded. Until then, reads and writes fail with an
+		 * 'UNAVAILABLE' error, so that the stored values aren't missed or overwritten.
+		 * Reads are then served from memory, while writes are encrypted and stored in
+		 * the background (the promise returned by `flush()` is resolved once all
+		 * pending writes are stored.) Values that can't be decrypted are left out,
+		 * and the error is broadcast.
+		 *
+		 * The cipher is an object implementing `encrypt(plaintext, key)` and
+		 * `decrypt(ciphertext, key)`, both returning a string or a promise of a
+		 * string. It defaults to AES-GCM via WebCrypto, in which case the keys must
+		 * be AES-GCM `CryptoKey`s (see `crypto.subtle.generateKey()`.) If the cipher
+		 * isn't available the API's `isSupported` is false, and nothing is stored.
+		 *
+		 * Each value is stored together with the id of the key it was encrypted
+		 * with, so keys may be rotated by calling `rotateKey(keyId, key)`, which
+		 * re-encrypts all values with the given key and returns a promise.
+		 *
+		 * @param {string} name The name of the storage engine, e.g. 'local'.
+		 * @param {Object} options Holds the encryption `keys` by id, the `keyId` of
+		 *   the key to encrypt with (defaults to the first key) and, optionally,
+		 *   the `cipher`.
+		 * @return {Object} The encrypted API, or false on error.
+		 */
+		webStorage.encrypt = function (name, options) {
+			if (indexOf(engineNames, name) === -1 || webStorage[name].isAsync ||
+					!angular.isObject(options) || !angular.isObject(options.keys)) {
+				return false;
+			}
+			var engine = webStorage[name];
+			var keys = angular.extend({}, options.keys);
+			var keyId = options.keyId;
+			if (typeof keyId === STR_UNDEFINED) {
+				for (var id in keys) {
+					if (keys.hasOwnProperty(id)) {
+						keyId = id;
+						break;
+					}
+				}
+			}
+			var cipher = options.cipher || { encrypt: encryptWithAesGcm, decrypt: decryptWithAesGcm };
+			if (!keys.hasOwnProperty(keyId) || !angular.isFunction(cipher.encrypt) || !angular.isFunction(cipher.decrypt)) {
+				return false;
+			}
+
+			var context = { prefix: prefix, order: order };
+			var entries = {};
+			var changed = {};
+			var isCleared = false;
+			var isReady = false;
+			var pending = $q.when(true);
+
+			var encrypted = {
+				isSupported: engine.isSupported && (!!options.cipher || hasWebCrypto()),
+				isAsync: false,
+				isPolyfilled: engine.isPolyfilled,
+				ready: null,
+				set: function (key, value, options) {
+					if (!encrypted.isSupported) return croak(unavailableError(name), 'set', name, key);
+					if (!isReady) return croak(notReadyError(), 'set', name, key);
+					var data;
+					try {
+						data = serializer.stringify(pack(value, options));
+					} catch (e) {
+						return croak(e, 'set', name, key);
+					}
+					changed[key] = true;
+					entries[key] = data;
+					store(key, data);
+					return true;
+				},
+				get: function (key) {
+					if (!isReady) {
+						croak(notReadyError(), 'get', name, key);
+						return null;
+					}
+					if (!entries.hasOwnProperty(key)) return null;
+					var entry = serializer.parse(entries[key]);
+					if (isExpired(entry)) {
+						encrypted.remove(key);
+						return null;
+					}
+					return unpack(entry);
+				},
+				has: function (key) {
+					return null !== encrypted.get(key);
+				},
+				key: function (num) {
+					return nthKey(encrypted.keys(), num);
+				},
+				keys: function () {
+					if (!isReady) {
+						croak(notReadyError(), 'keys', name);
+						return [];
+					}
+					var names = [];
+					for (var key in entries) {
+						if (entries.hasOwnProperty(key) && !isExpiredRaw(entries[key])) {
+							names.push(key);
+						}
+					}
+					return names;
+				},
+				length: function () {
+					return encrypted.keys().length;
+				},
+				remove: function (key) {
+					changed[key] = true;
+					delete entries[key];
+					return inContext(context, engine.remove)(key);
+				},
+				clear: function () {
+					isCleared = true;
+					entries = {};
+					return inContext(context, engine.clear)();
+				},
+				purgeExpired: function () {
+					var count = 0;
+					for (var key in entries) {
+						if (entries.hasOwnProperty(key) && isExpired(serializer.parse(entries[key]))) {
+							delete entries[key];
+							++count;
+						}
+					}
+					if (count) {
+						inContext(context, engine.purgeExpired)();
+					}
+					return count;
+				},
+				flush: function () {
+					return pending;
+				},
+				rotateKey: function (newKeyId, newKey) {
+					if (typeof newKey !== STR_UNDEFINED) {
+						keys[newKeyId] = newKey;
+					}
+					if (!keys.hasOwnProperty(newKeyId)) {
+						return false;
+					}
+					keyId = newKeyId;
+					return encrypted.ready.then(function () {
+						angular.forEach(entries, function (data, key) {
+							store(key, data);
+						});
+						return pending;
+					});
+				}
+			};
+
+			// Returns the error of the reads and writes made before the stored values
+			// are loaded, which would otherwise miss (or overwrite) those values.
+			var notReadyError = function () {
+				return storageError('UNAVAILABLE', 'The encrypted "' + name + '" storage engine is not ready yet');
+			};
+
+			// Encrypt and store the given serialized entry, unless it has been replaced
+			// or removed by the time it has been encrypted.
+			var store = function (key, data) {
+				var id = keyId;
+				var entry = serializer.parse(data);
+				var meta = isEnvelope(entry) ? entry[META_KEY] : {};
+				pending = pending.then(function () {
+					return settle(cipher.encrypt(data, keys[id]));
+				}).then(function (ciphertext) {
+					if (entries[key] === data) {
+						inContext(context, engine.set)(key, { keyId: id, data: ciphertext }, meta);
+					}
+				}).then(function () {
+					return true;
+				}, function (e) {
+					notifyError(toStorageError(e, 'set', name, key));
+					return false;
+				});
+			};
+
+			// Decrypt the given stored record into a serialized entry (resolving with
+			// null on failure.)
+			var load = function (key, record) {
+				if (!isEncryptedRecord(record) || !keys.hasOwnProperty(record.keyId)) {
+					notifyError(toStorageError(decryptionError(key), 'get', name, key));
+					return $q.when(null);
+				}
+				return settle(cipher.decrypt(record.data, keys[record.keyId])).then(function (plaintext) {
+					serializer.parse(plaintext);
+					return plaintext;
+				}).then(null, function (e) {
+					notifyError(toStorageError(decryptionError(key, e), 'get', name, key));
+					return null;
+				});
+			};
+
+			var loads = [];
+			if (encrypted.isSupported) {
+				angular.forEach(inContext(context, engine.keys)(), function (key) {
+					loads.push(load(key, inContext(context, engine.get)(key)).then(function (data) {
+						if (data !== null && !isCleared && !changed.hasOwnProperty(key)) {
+							entries[key] = data;
+						}
+					}));
+				});
+			}
+			// Nothing to load, so there's nothing to miss or overwrite either.
+			isReady = loads.length === 0;
+			encrypted.ready = $q.all(loads).then(function () {
+				isReady = true;
+				return true;
+			});
+			return addEnumeration(encrypted);
+		};
+
+		/**
+		 * Register a storage engine. The engine is added to the service under the
+		 * given name (e.g. `webStorage.myEngine`) with the same direct API as the
+		 * local and session storage engines, and the name may be used in `order()`.
+		 *
+		 * The adapter is a Storage-like object implementing `getItem(key)`,
+		 * `setItem(key, value)`, `removeItem(key)`, `key(index)`, `length` (a
+		 * property or a method) and, optionally, `clear()`. The adapter is only
+		 * handed strings, since the engine takes care of serialization, prefixing
+		 * and error handling, although `setItem` and `removeItem` are also handed
+		 * the options given to the engine's `set` and `remove`.
+		 *
+		 * @param {string} name The name of the storage engine.
+		 * @param {Object} adapter The Storage-like adapter.
+		 * @return {mixed} The storage engine API, or false on error (e.g. if the
+		 *   name is already in use.)
+		 */
+		webStorage.registerEngine = function (name, adapter) {
+			if (!isValidEngineName(name) || webStorage.hasOwnProperty(name) || !isAdapter(adapter)) {
+				return false;
+			}
+			webStorage[name] = angular.extend(createEngine(function () { return adapter; }, testStore(adapter), name), {
+				isPolyfilled: function () { return false; }
+			});
+			engineNames.push(name);
+			addNamespaceEngine(name);
+			if (webStorage[name].isSupported) {
+				migrateStore(adapter);
+			}
+			return webStorage[name];
+		};
+
+		/**
+		 * Returns the names of all storage engines, built-in as well as registered ones.
+		 *
+		 * @return {Array} The names of all storage engines.
+		 */
+		webStorage.engines = function () {
+			return angular.copy(engineNames);
+		};
+
+		/**
+		 * Getter/setter for the error name that is used when broadcasting errors
+		 * on the $rootScope.
+		 *
+		 * @param {string} newErrorName (Optional) The new error name.
+		 * @return {mixed} The current (on get) or previous (on set) error name,
+		 *   or false on error.
+		 * @see defaultPrefix
+		 */
+		webStorage.errorName = function (newErrorName) {
+			var result = errorName;
+			if (typeof newErrorName !== STR_UNDEFINED) {
+				if (typeof newErrorName !== 'string') {
+					return false;
+				}
+				errorName = newErrorName;
+			}
+			return result;
+		};
+
+		/**
+		 * Getter/setter for strict mode. In strict mode errors aren't broadcast on
+		 * the $rootScope, instead they are thrown by the synchronous methods and
+		 * rejected by the methods that return promises (e.g. `webStorage.idb`.)
+		 *
+		 * NOTE: Errors that occur in the background, i.e. while migrating or while
+		 * encrypting or decrypting values, are always broadcast.
+		 *
+		 * @param {boolean} newStrict (Optional) True to enable strict mode.
+		 * @return {boolean} The current (on get) or previous (on set) mode, or
+		 *   undefined on error.
+		 */
+		webStorage.strict = function (newStrict) {
+			var result = strict;
+			if (typeof newStrict !== STR_UNDEFINED) {
+				if (typeof newStrict !== 'boolean') {
+					return undefined;
+				}
+				strict = newStrict;
+			}
+			return result;
+		};
+
+		/**
+		 * Getter/setter for the default options of the cookies set by the cookie
+		 * storage engine: `path` (defaults to '/'), `domain` (defaults to null, i.e.
+		 * the current host), `secure` (defaults to false), `sameSite` (defaults to
+		 * 'Lax'), `session` (defaults to false, i.e. persistent cookies) and
+		 * `maxCookies`, the budget of cookies on the document (defaults to 50.) The
+		 * given options are merged into the current ones.
+		 *
+		 * NOTE: Values larger than a cookie are split across several cookies, and
+		 * writes that would exceed the budget fail with a 'QUOTA_EXCEEDED' error.
+		 * Cookies refused by the browser fail with a 'COOKIE_REFUSED' error.
+		 *
+		 * @param {Object} newCookieOptions (Optional) The new default options.
+		 * @return {mixed} The current (on get) or previous (on set) options, or
+		 *   false on error.
+		 */
+		webStorage.cookieOptions = function (newCookieOptions) {
+			var result = angular.copy(cookieOptions);
+			if (typeof newCookieOptions !== STR_UNDEFINED) {
+				if (!angular.isObject(newCookieOptions)) {
+					return false;
+				}
+				cookieOptions = angular.extend({}, cookieOptions, newCookieOptions);
+			}
+			return result;
+		};
+
+		/**
+		 * Getter/setter for the name of the event that is broadcast on the
+		 * $rootScope when another window changes local or session storage.
+		 *
+		 * @param {string} newStorageEventName (Optional) The new event name.
+		 * @return {mixed} The current (on get) or previous (on set) event name,
+		 *   or false on error.
+		 */
+		webStorage.storageEventName = function (newStorageEventName) {
+			var result = storageEventName;
+			if (typeof newStorageEventName !== STR_UNDEFINED) {
+				if (typeof newStorageEventName !== 'string') {
+					return false;
+				}
+				storageEventName = newStorageEventName;
+			}
+			return result;
+		};
+
+		/**
+		 * Getter/setter for the name of the event that is broadcast on the
+		 * $rootScope when values have been evicted in order to make room for a
+		 * write. The event is broadcast with the name of the `engine`, the `key`
+		 * being written and the evicted `keys` (all without the prefix.)
+		 *
+		 * @param {string} newEvictionEventName (Optional) The new event name.
+		 * @return {mixed} The current (on get) or previous (on set) event name,
+		 *   or false on error.
+		 */
+		webStorage.evictionEventName = function (newEvictionEventName) {
+			var result = evictionEventName;
+			if (typeof newEvictionEventName !== STR_UNDEFINED) {
+				if (typeof newEvictionEventName !== 'string') {
+					return false;
+				}
+				evictionEventName = newEvictionEventName;
+			}
+			return result;
+		};
+
+		/**
+		 * Getter/setter for the name of the event that is broadcast on the
+		 * $rootScope when values are set, removed or cleared, be it via the
+		 * generic or the direct APIs. The event is broadcast with the `type` of
+		 * operation ('set', 'remove' or 'clear'), the name of the `engine`, the
+		 * `key` (without the prefix), the `oldValue`, the `newValue` and the
+		 * `prefix`. Clearing is broadcast with `key` set to null and the removed
+		 * `keys` (without the prefix.)
+		 *
+		 * NOTE: Values that expire, are evicted or are migrated aren't broadcast.
+		 *
+		 * @param {string} newChangeEventName (Optional) The new event name.
+		 * @return {mixed} The current (on get) or previous (on set) event name,
+		 *   or false on error.
+		 */
+		webStorage.changeEventName = function (newChangeEventName) {
+			var result = changeEventName;
+			if (typeof newChangeEventName !== STR_UNDEFINED) {
+				if (typeof newChangeEventName !== 'string') {
+					return false;
+				}
+				changeEventName = newChangeEventName;
+			}
+			return result;
+		};
+
+		/**
+		 * Getter/setter for the policy by which values with the current prefix are
+		 * evicted when a write to local, session or registered storage exceeds the
+		 * quota. The write is retried after each evicted value, until it succeeds
+		 * or no values are left to evict.
+		 *
+		 * Expired values are always evicted first. The remaining values are then
+		 * evicted by their priority (lowest first, see the `priority` option of
+		 * `set()`), followed by:
+		 * - 'lru'     -- the least recently used value (as tracked by this service instance)
+		 * - 'lfu'     -- the least frequently used value (as tracked by this service instance)
+		 * - 'oldest'  -- the value that was stored first
+		 * - 'expired' -- only expired values are evicted
+		 * - 'none'    -- nothing is evicted (the default)
+		 *
+		 * Values set with the `pinned` option are never evicted.
+		 *
+		 * @param {string} newEvictionPolicy (Optional) The new policy.
+		 * @return {mixed} The current (on get) or previous (on set) policy,
+		 *   or false on error.
+		 */
+		webStorage.evictionPolicy = function (newEvictionPolicy) {
+			var result = evictionPolicy;
+			if (typeof newEvictionPolicy !== STR_UNDEFINED) {
+				if (!isEvictionPolicy(newEvictionPolicy)) {
+					return false;
+				}
+				evictionPolicy = newEvictionPolicy;
+			}
+			return result;
+		};
+
+		/**
+		 * Getter/setter for the size above which values are compressed before they
+		 * are stored in local, session or registered storage (including the cookie
+		 * polyfills.) Compression is disabled by default.
+		 *
+		 * Values are compressed with an LZ-style codec into UTF-16 safe strings, and
+		 * only stored compressed if that makes them smaller. Compressed values are
+		 * marked, so both compressed and uncompressed values may always be read.
+		 *
+		 * @param {number|boolean} newCompression (Optional) The number of characters
+		 *   of JSON above which values are compressed, or false to disable compression.
+		 * @return {mixed} The current (on get) or previous (on set) threshold,
+		 *   or false on error.
+		 */
+		webStorage.compression = function (newCompression) {
+			var result = compression;
+			if (typeof newCompression !== STR_UNDEFINED) {
+				if (!isCompression(newCompression)) {
+					return false;
+				}
+				compression = newCompression;
+			}
+			return result;
+		};
+
+		/**
+		 * Getter/setter for the serializer used by all storage engines to turn
+		 * values into strings before they are stored, and back again. Since all
+		 * engines (including the in-memory one) store serialized copies, a value
+		 * reads back the same whichever engine it's stored in.
+		 *
+		 * The default serializer writes JSON where Dates, Maps, Sets, RegExps and
+		 * `undefined` are tagged so that they're revived with their types when
+		 * read. Just like `angular.toJson()`, properties with names starting with
+		 * `$$` (e.g. `$$hashKey`) are stripped, while windows, documents and scopes
+		 * are stored as placeholder strings.
+		 *
+		 * NOTE: A serializer must preserve the `$$webStorage` property, which holds
+		 * the metadata (e.g. the expiry) of a stored value.
+		 *
+		 * @param {Object} newSerializer (Optional) An object implementing
+		 *   `stringify(value)` and `parse(str)`, or null for the default serializer.
+		 * @return {mixed} The current (on get) or previous (on set) serializer,
+		 *   or false on error.
+		 */
+		webStorage.serializer = function (newSerializer) {
+			var result = serializer;
+			if (typeof newSerializer !== STR_UNDEFINED) {
+				if (newSerializer !== null && !isSerializer(newSerializer)) {
+					return false;
+				}
+				serializer = newSerializer || typedJson;
+			}
+			return result;
+		};
+
+		/**
+		 * Returns the schema version of the stored data, as configured via
+		 * `webStorageProvider.version()`.
+		 *
+		 * @return {number|null} The schema version, or null if versioning is disabled.
+		 */
+		webStorage.version = function () {
+			return settings.version;
+		};
+
+		/**
+		 * Getter/setter for the order in which the service selects what storage
+		 * model to use.
+		 *
+		 * @param {Array} newOrder (Optional) An array of string names of the order
+		 *   to query storage engines. Recognized names are 'local', 'session',
+		 *   'memory' and the names of registered engines. All other names are
+		 *   ignored.
+		 * @return {Array} The current (on get) or previous (on set) order as an
+		 *   array of strings.
+		 * @see defaultOrder
+		 */
+		webStorage.order = function (newOrder) {
+			var result = angular.copy(order);
+			if (typeof newOrder !== STR_UNDEFINED) {
+				order = sanitizeOrder(newOrder);
+			}
+			return result;
+		};
+
+		/**
+		 * Getter/setter for the prefix that is used when adding, getting or
+		 * removing data.
+		 *
+		 * @param {string} newPrefix (Optional) The new prefix.
+		 * @return {mixed} The current (on get) or previous (on set) prefix,
+		 *   or false on error.
+		 * @see defaultPrefix
+		 */
+		webStorage.prefix = function (newPrefix) {
+			var result = prefix;
+			if (typeof newPrefix !== STR_UNDEFINED) {
+				if (typeof newPrefix !== 'string') {
+					return false;
+				}
+				prefix = newPrefix;
+			}
+			return result;
+		};
+
+		/**
+		 * Setter for the key/value web store, returning a promise.
+		 *
+		 * NOTE: This method works just like `webStorage.set` except that asynchronous
+		 * storage engines (e.g. 'idb') in the order are used as well.
+		 *
+		 * @param {string} key Name to store the given value under.
+		 * @param {mixed} value The value to store.
+		 * @param {boolean|Object} allEngines If true, add to all available engines,
+		 *   else only add to the first supported storage engine. Default is false.
+		 *   May also be an options object, as for `webStorage.set`.
+		 * @return {Promise} Resolved with true on success, else false.
+		 * @private
+		 */
+		function setAsync(key, value, allEngines) {
+			var options;
+			if (angular.isObject(allEngines)) {
+				options = allEngines;
+				allEngines = options.allEngines;
+			}
+			allEngines = typeof allEngines !== STR_UNDEFINED ? !!allEngines : false;
+			return eachEngineAsync(allEngines, function (engine) {
+				return engine.set(key, value, options);
+			}, orResult, false);
+		}
+
+		/**
+		 * Getter for the key/value web store, returning a promise.
+		 *
+		 * NOTE: This method works just like `webStorage.get` except that asynchronous
+		 * storage engines (e.g. 'idb') in the order are used as well.
+		 *
+		 * @param {string} key Name of the value to retrieve.
+		 * @param {boolean} allEngines If false only the first supported storage
+		 *   engine will be queried, otherwise all engines will be queried in turn
+		 *   until a non-null value is found. Default is true.
+		 * @return {Promise} Resolved with the value previously added under the
+		 *   specified key, else null.
+		 * @private
+		 */
+		function getAsync(key, allEngines) {
+			allEngines = typeof allEngines !== STR_UNDEFINED ? !!allEngines : true;
+			return eachEngineAsync(allEngines, function (engine) {
+				return engine.get(key);
+			}, lastResult, null, isNotNull);
+		}
+
+		/**
+		 * Check if a key exists, returning a promise.
+		 *
+		 * @param {string} key Name of the key to test.
+		 * @param {boolean} allEngines If false only the first supported storage
+		 *   engine will be queried, otherwise all engines will be queried in turn
+		 *   until a non-null value is found. Default is true.
+		 * @return {Promise} Resolved with true if the key exists, else false.
+		 * @private
+		 */
+		function hasAsync(key, allEngines) {
+			return getAsync(key, allEngines).then(function (value) {
+				return value !== null;
+			});
+		}
+
+		/**
+		 * Remove a specified value from the key/value web store, returning a promise.
+		 *
+		 * @param {string} key Name of the value to remove.
+		 * @param {boolean} allEngines If true, remove from all available engines,
+		 *   else only remove from the first supported storage engine. Default is true.
+		 * @return {Promise} Resolved with true on success, else false.
+		 * @private
+		 */
+		function removeAsync(key, allEngines) {
+			allEngines = typeof allEngines !== STR_UNDEFINED ? !!allEngines : true;
+			return eachEngineAsync(allEngines, function (engine) {
+				return engine.remove(key);
+			}, orResult, false);
+		}
+
+		/**
+		 * Remove all values in the key/value web store, returning a promise.
+		 *
+		 * @param {boolean} allEngines If true, remove from all available engines,
+		 *   else only remove from the first supported storage engine. Default is true.
+		 * @return {Promise} Resolved with true on success, else false.
+		 * @private
+		 */
+		function clearAsync(allEngines) {
+			allEngines = typeof allEngines !== STR_UNDEFINED ? !!allEngines : true;
+			return eachEngineAsync(allEngines, function (engine) {
+				return engine.clear();
+			}, orResult, false);
+		}
+
+		/**
+		 * Return the names of all keys in the key/value web store, returning a promise.
+		 *
+		 * NOTE: Only keys with the current prefix are returned, and they are
+		 * returned without the prefix.
+		 *
+		 * @param {boolean} allEngines If true, the keys of all available engines
+		 *   are returned (without duplicates), else only the keys of the first
+		 *   supported storage engine. Default is true.
+		 * @return {Promise} Resolved with an array of key names.
+		 * @private
+		 */
+		function keysAsync(allEngines) {
+			allEngines = typeof allEngines !== STR_UNDEFINED ? !!allEngines : true;
+			return eachEngineAsync(allEngines, function (engine) {
+				return engine.keys();
+			}, unionResult, []);
+		}
+
+		/**
+		 * Helper method, applies an operation to the supported storage engines in
+		 * turn (according to 'order'), waiting for each engine before moving on to
+		 * the next one.
+		 *
+		 * The iteration stops after the first engine unless `allEngines` is true,
+		 * in which case it stops once `isFound` returns true. An engine that turns
+		 * out to be unavailable while operating on it (e.g. if the IndexedDB
+		 * database could not be opened) is skipped.
+		 *
+		 * Errors are not broadcast, instead the returned promise is rejected with
+		 * the first error and the iteration stops.
+		 *
+		 * @param {boolean} allEngines If true, apply the operation to all engines.
+		 * @param {Function} operation Called with each engine, returns a value or a promise.
+		 * @param {Function} reduce Combines the accumulated result with the value
+		 *   returned by an engine.
+		 * @param {mixed} initial The initial result.
+		 * @param {Function} isFound (Optional) Returns true if the iteration may stop
+		 *   at the value returned by an engine. Defaults to iterating all engines.
+		 * @return {Promise} Resolved with the accumulated result, or rejected with
+		 *   the error.
+		 * @private
+		 */
+		function eachEngineAsync(allEngines, operation, reduce, initial, isFound) {
+			var engines = [];
+			for (var ith = 0; ith < order.length; ++ith) {
+				if (webStorage[order[ith]].isSupported) {
+					engines.push(webStorage[order[ith]]);
+				}
+			}
+			var next = function (index, result) {
+				if (index >= engines.length) {
+					return $q.when(result);
+				}
+				var engine = engines[index];
+				var value;
+				try {
+					value = throwing(function () {
+						return operation(engine);
+					});
+				} catch (e) {
+					return $q.reject(e);
+				}
+				return $q.when(value).then(function (value) {
+					if (!engine.isSupported) {
+						return next(index + 1, result);
+					}
+					result = reduce(result, value);
+					if (!allEngines || (isFound && isFound(value))) {
+						return result;
+					}
+					return next(index + 1, result);
+				}, function (error) {
+					if (!engine.isSupported || (error && error.code === 'UNAVAILABLE')) {
+						return next(index + 1, result);
+					}
+					return $q.reject(error);
+				});
+			};
+			return next(0, initial);
+		}
+
+		/**
+		 * Helper method, reducer returning true if any engine returned true.
+		 * @private
+		 */
+		function orResult(result, value) {
+			return value || result;
+		}
+
+		/**
+		 * Helper method, reducer returning the value of the last queried engine.
+		 * @private
+		 */
+		function lastResult(result, value) {
+			return value;
+		}
+
+		/**
+		 * Helper method, reducer returning the union of the arrays returned by the engines.
+		 * @private
+		 */
+		function unionResult(result, value) {
+			for (var ith = 0; ith < value.length; ++ith) {
+				if (indexOf(result, value[ith]) === -1) {
+					result.push(value[ith]);
+				}
+			}
+			return result;
+		}
+
+		/**
+		 * Helper method, returns true if the given value isn't null.
+		 * @private
+		 */
+		function isNotNull(value) {
+			return value !== null;
+		}
+
+		/**
+		 * Add the specified key/value pair to the local web store.
+		 *
+		 * NOTE: The web store API only specifies that implementations should be able to
+		 * handle string values, this method will therefore stringify all values into
+		 * JSON strings before storing them.
+		 *
+		 * @param {string} key The name to store the value under.
+		 * @param {mixed} value The value to set (all values are stored as JSON.)
+		 * @return {boolean} True on success, else false.
+		 * @private
+		 * @deprecated Since version 0.12.0. Will be deleted in version 1.0. Use `webStorage.local.set` instead.
+		 */
+		function addToLocal(key, value) {
+			console.warn(addDeprecatedWarning);
+			return webStorage.local.set(key, value);
+		}
+
+		/**
+		 * Add the specified key/value pair to the session web store.
+		 *
+		 * NOTE: The web store API only specifies that implementations should be able to
+		 * handle string values, this method will therefore stringify all values into
+		 * JSON strings before storing them.
+		 *
+		 * @param {string} key The name to store the value under.
+		 * @param {mixed} value The value to set (all values are stored as JSON.)
+		 * @return {boolean} True on success, else false.
+		 * @private
+		 * @deprecated Since version 0.12.0. Will be deleted in version 1.0. Use `webStorage.session.set` instead.
+		 */
+		function addToSession(key, value) {
+			console.warn(addDeprecatedWarning);
+			return webStorage.session.set(key, value);
+		}
+
+		/**
+		 * Add the specified key/value pair to the in-memory store.
+		 *
+		 * @param {string} key The name to store the value under.
+		 * @param {mixed} value The value to set.
+		 * @return {boolean} True on success, else false.
+		 * @private
+		 * @deprecated Since version 0.12.0. Will be deleted in version 1.0. Use `setInMemory` instead.
+		 */
+		function addToMemory(key, value) {
+			console.warn(addDeprecatedWarning);
+			return setInMemory(key, value);
+		}
+
+		/**
+		 * Helper method, creates a storage engine API on top of a Storage-like adapter,
+		 * i.e. an object implementing `getItem(key)`, `setItem(key, value)`,
+		 * `removeItem(key)`, `key(index)`, `length` (a property or a method) and,
+		 * optionally, `clear()`. This is how the local and session storage engines
+		 * are implemented, as well as all engines added via `registerEngine()`.
+		 *
+		 * NOTE: The web store API only specifies that implementations should be able to
+		 * handle string values, the engine will therefore stringify all values into
+		 * JSON strings before storing them. All keys are prefixed by the current prefix
+		 * and all errors are broadcast via the $rootScope.
+		 *
+		 * @param {Function} getStore Returns the adapter to operate on.
+		 * @param {boolean} isSupported True if the client has support for the adapter.
+		 * @return {Object} The storage engine API.
+		 * @private
+		 */
+		function createEngine(getStore, isSupported, name) {
+			engineStores[name] = getStore;
+
+			/**
+			 * Accesses of the stored values by prefixed key, tracked for the 'lru'
+			 * and 'lfu' eviction policies.
+			 */
+			var accesses = {};
+
+			/**
+			 * Add or update the specified key/value pair in the store.
+			 *
+			 * NOTE: If the write exceeds the quota then values are evicted according
+			 * to the eviction policy, and the write is retried.
+			 *
+			 * @param {string} key The name to store the value under.
+			 * @param {mixed} value The value to set (all values are stored as JSON.)
+			 * @param {Object} options (Optional) May hold an expiry as `ttl` or
+			 *   `expires`, an eviction `priority` and the `pinned` flag.
+			 * @return {boolean} True on success, else false.
+			 */
+			function setInStore(key, value, options) {
+				if (isSupported) {
+					var data, oldData = null;
+					try {
+						data = encode(serializer.stringify(pack(value, options)));
+						oldData = getStore().getItem(prefix + key);
+						getStore().setItem(prefix + key, data, options);
+					} catch (e) {
+						if (!isQuotaError(e) || !evictAndSet(key, data, options)) {
+							return croak(e, 'set', name, key);
+						}
+					}
+					touch(prefix + key);
+					broadcastChange('set', name, key, oldData, data);
+					return true;
+				}
+				return croak(unavailableError(name), 'set', name, key);
+			}
+
+			/**
+			 * Evict values according to the eviction policy until the given data
+			 * fits in the store, then broadcast the evicted keys. If the data doesn't
+			 * fit even with all candidates evicted, then they are restored.
+			 *
+			 * @param {string} key The name to store the data under.
+			 * @param {string} data The data to store.
+			 * @param {Object} options (Optional) The options given to `set`.
+			 * @return {boolean} True if the data was stored, else false.
+			 */
+			function evictAndSet(key, data, options) {
+				if (evictionPolicy === 'none') return false;
+				var store = getStore();
+				var candidates = evictionCandidates(store, prefix + key, accesses);
+				var removed = [];
+				var isStored = false;
+				for (var ith = 0; ith < candidates.length && !isStored; ++ith) {
+					try {
+						var storeKey = candidates[ith];
+						var item = { key: storeKey, data: store.getItem(storeKey), access: accesses[storeKey] };
+						store.removeItem(storeKey);
+						delete accesses[storeKey];
+						removed.push(item);
+						store.setItem(prefix + key, data, options);
+						isStored = true;
+					} catch (e) {
+						if (!isQuotaError(e)) break;
+					}
+				}
+
+				var evicted = [];
+				for (var jth = 0; jth < removed.length; ++jth) {
+					if (!isStored) {
+						try {
+							store.setItem(removed[jth].key, removed[jth].data);
+							if (removed[jth].access) {
+								accesses[removed[jth].key] = removed[jth].access;
+							}
+							continue;
+						} catch (e) {
+							// The value is lost, so it counts as evicted.
+						}
+					}
+					evicted.push(removed[jth].key.substr(prefix.length));
+				}
+				if (evicted.length) {
+					$rootScope.$broadcast(evictionEventName, { engine: name, key: key, keys: evicted });
+				}
+				return isStored;
+			}
+
+			/**
+			 * Track an access of the given prefixed key.
+			 *
+			 * @param {string} storeKey The prefixed key.
+			 */
+			function touch(storeKey) {
+				var access = accesses[storeKey] || { hits: 0 };
+				access.hits++;
+				access.clock = ++accessClock;
+				accesses[storeKey] = access;
+			}
+
+			/**
+			 * Get the specified value from the store.
+			 *
+			 * NOTE: Since all values are stored as JSON strings, this method will parse the fetched
+			 * JSON string and return the resulting object/value. Expired values are removed
+			 * and read as null.
+			 *
+			 * @param {string} key The name of the value.
+			 * @return {mixed} The value previously added under the specified key, else null.
+			 */
+			function getFromStore(key) {
+				if (isSupported) {
+					try {
+						var value = getStore().getItem(prefix + key);
+						var entry = value && serializer.parse(decode(value));
+						if (isExpired(entry)) {
+							getStore().removeItem(prefix + key);
+							return null;
+						}
+						if (value !== null) {
+							touch(prefix + key);
+						}
+						return unpack(entry);
+					} catch (e) {
+						croak(e, 'get', name, key);
+						return null;
+					}
+				}
+				return null;
+			}
+
+			/**
+			 * Check if the given key exists in the store.
+			 *
+			 * @param {string} key The name of the value.
+			 * @return {boolean} True if the key exists, else false.
+			 */
+			function hasInStore(key) {
+				return null !== getFromStore(key);
+			}
+
+			/**
+			 * Return the names of all keys with the current prefix in the store.
+			 * Expired values are skipped (they're removed by `purgeExpired()`.)
+			 *
+			 * @return {Array} The key names, without the prefix.
+			 */
+			function keysInStore() {
+				if (!isSupported) return [];
+				try {
+					var store = getStore();
+					var keys = [];
+					var prefixLength = prefix.length;
+					var length = lengthOf(store);
+					for (var ith = 0; ith < length; ++ith) {
+						var key = store.key(ith);
+						if (key !== null && key.substr(0, prefixLength) === prefix && !isReservedKey(key) &&
+								!isExpiredRaw(store.getItem(key))) {
+							keys.push(key.substr(prefixLength));
+						}
+					}
+					return keys;
+				} catch (e) {
+					croak(e, 'keys', name);
+					return [];
+				}
+			}
+
+			/**
+			 * Return the name of the nth key with the current prefix in the store.
+			 *
+			 * @param {number} num An integer representing the number
+			 *   of the key to the return the name of.
+			 * @return {string|null} The name of the key (without the prefix)
+			 *   if available or null otherwise.
+			 */
+			function keyInStore(num) {
+				return nthKey(keysInStore(), num);
+			}
+
+			/**
+			 * Returns an integer representing the number of items with the current
+			 * prefix stored in the store. Expired values aren't counted.
+			 *
+			 * @return {number} The number of items currently stored in the store.
+			 */
+			function lengthOfStore() {
+				return keysInStore().length;
+			}
+
+			/**
+			 * Remove the specified key/value pair from the store.
+			 *
+			 * @param {string} key The name of the value to remove.
+			 * @param {Object} options (Optional) Handed to the adapter, e.g. the
+			 *   `path` and `domain` of a cookie.
+			 * @return {boolean} True on success, else false.
+			 */
+			function removeFromStore(key, options) {
+				if (isSupported) {
+					var oldData;
+					try {
+						oldData = getStore().getItem(prefix + key);
+						getStore().removeItem(prefix + key, options);
+						delete accesses[prefix + key];
+					} catch (e) {
+						return croak(e, 'remove', name, key);
+					}
+					if (oldData !== null) {
+						broadcastChange('remove', name, key, oldData, null);
+					}
+					return true;
+				}
+				return croak(unavailableError(name), 'remove', name, key);
+			}
+
+			/**
+			 * Clear all key/value pairs from the store.
+			 *
+			 * NOTE: If a prefix has been specified in the module constant 'prefix' then only
+			 * values with that specific prefix will be removed.
+			 *
+			 * @return {boolean} True on success, else false.
+			 */
+			function clearStore() {
+				if (!isSupported) return croak(unavailableError(name), 'clear', name);
+				var cleared = [];
+				try {
+					var store = getStore();
+					var version = store.getItem(prefix + VERSION_KEY);
+					var keys = [];
+					var prefixLength = prefix.length;
+					var length = lengthOf(store);
+					for (var ith = 0; ith < length; ++ith) {
+						var key = store.key(ith);
+						if (key !== null && key.substr(0, prefixLength) === prefix) {
+							keys.push(key);
+						}
+					}
+					if (!prefix && angular.isFunction(store.clear)) {
+						store.clear();
+					} else {
+						for (var jth = 0; jth < keys.length; ++jth) {
+							store.removeItem(keys[jth]);
+						}
+					}
+					// The cleared store still holds data of the recorded schema version.
+					if (version !== null) {
+						store.setItem(prefix + VERSION_KEY, version);
+					}
+					for (var kth = 0; kth < keys.length; ++kth) {
+						if (!isReservedKey(keys[kth])) {
+							cleared.push(keys[kth].substr(prefixLength));
+						}
+					}
+				} catch (e) {
+					return croak(e, 'clear', name);
+				}
+				if (cleared.length) {
+					broadcastChange('clear', name, null, null, null, cleared);
+				}
+				return true;
+			}
+
+			/**
+			 * Remove all expired key/value pairs from the store.
+			 *
+			 * NOTE: If a prefix has been specified in the module constant 'prefix' then only
+			 * values with that specific prefix will be examined.
+			 *
+			 * @return {number} The number of expired values that were removed.
+			 */
+			function purgeStore() {
+				if (!isSupported) return 0;
+				try {
+					return purgeExpiredFromStore(getStore());
+				} catch (e) {
+					croak(e, 'purgeExpired', name);
+					return 0;
+				}
+			}
+
+			/**
+			 * Report the storage used by the key/value pairs with the current prefix.
+			 *
+			 * The size of a key/value pair is the number of bytes taken by its prefixed
+			 * key and its stored (JSON) value, counting two bytes per character since
+			 * browsers store strings as UTF-16.
+			 *
+			 * NOTE: There's no API for querying the quota of a web store (short of
+			 * filling it up), so `remaining` is always null. The keys used by the
+			 * service itself (e.g. the test key) aren't counted.
+			 *
+			 * @return {Object} The usage report, holding the number of bytes `used`,
+			 *   the number of bytes used by each (unprefixed) key under `keys` and the
+			 *   number of bytes `remaining` (null if unknown.)
+			 */
+			function usageOfStore() {
+				var report = { used: 0, keys: {}, remaining: null };
+				if (!isSupported) return report;
+				try {
+					var store = getStore();
+					var prefixLength = prefix.length;
+					var length = lengthOf(store);
+					for (var ith = 0; ith < length; ++ith) {
+						var key = store.key(ith);
+						if (key !== null && key.substr(0, prefixLength) === prefix && !isReservedKey(key)) {
+							var size = sizeOf(key, store.getItem(key));
+							report.keys[key.substr(prefixLength)] = size;
+							report.used += size;
+						}
+					}
+				} catch (e) {
+					croak(e, 'usage', name);
+				}
+				return report;
+			}
+
+			return addEnumeration({
+				isSupported: isSupported,
+				set: setInStore,
+				get: getFromStore,
+				has: hasInStore,
+				key: keyInStore,
+				length: lengthOfStore,
+				keys: keysInStore,
+				remove: removeFromStore,
+				clear: clearStore,
+				purgeExpired: purgeStore,
+				usage: usageOfStore
+			});
+		}
+
+		/**
+		 * Helper method, adds `values()`, `entries()` and `forEach(fn)` to the given
+		 * synchronous storage engine API, built on its `keys()` and `get()`.
+		 *
+		 * @param {Object} engine The storage engine API.
+		 * @return {Object} The storage engine API.
+		 * @private
+		 */
+		function addEnumeration(engine) {
+			/**
+			 * Return the values of all keys with the current prefix.
+			 *
+			 * @return {Array} The values, in the order of `keys()`.
+			 */
+			engine.values = function () {
+				var keys = engine.keys();
+				var values = [];
+				for (var ith = 0; ith < keys.length; ++ith) {
+					values.push(engine.get(keys[ith]));
+				}
+				return values;
+			};
+
+			/**
+			 * Return all key/value pairs with the current prefix.
+			 *
+			 * @return {Array} The `[key, value]` pairs, keys without the prefix.
+			 */
+			engine.entries = function () {
+				var keys = engine.keys();
+				var entries = [];
+				for (var ith = 0; ith < keys.length; ++ith) {
+					entries.push([keys[ith], engine.get(keys[ith])]);
+				}
+				return entries;
+			};
+
+			/**
+			 * Call the given function with each key/value pair with the current prefix.
+			 *
+			 * @param {Function} fn Called as `fn(value, key)`, key without the prefix.
+			 */
+			engine.forEach = function (fn) {
+				var entries = engine.entries();
+				for (var ith = 0; ith < entries.length; ++ith) {
+					fn(entries[ith][1], entries[ith][0]);
+				}
+			};
+
+			return engine;
+		}
+
+		/**
+		 * Helper method, returns the nth name in the given list of key names.
+		 *
+		 * @param {Array} keys The key names.
+		 * @param {number} num The index of the key.
+		 * @return {string|null} The name of the key if available or null otherwise.
+		 * @private
+		 */
+		function nthKey(keys, num) {
+			return num >= 0 && num < keys.length ? keys[num] : null;
+		}
+
+		/**
+		 * Add or update the specified key/value pair in the in-memory store.
+		 *
+		 * NOTE: Values are stored serialized, just like in the other engines, so
+		 * that later changes to the given value don't affect the stored one.
+		 *
+		 * @param {string} key The name to store the value under.
+		 * @param {mixed} value The value to set.
+		 * @param {Object} options (Optional) May hold an expiry as `ttl` or `expires`.
+		 * @return {boolean} True on success, else false.
+		 * @private
+		 */
+		function setInMemory(key, value, options) {
+			var oldData = ram.hasOwnProperty(prefix + key) ? ram[prefix + key] : null;
+			try {
+				ram[prefix + key] = serializer.stringify(pack(value, options));
+			} catch (e) {
+				return croak(e, 'set', 'memory', key);
+			}
+			broadcastChange('set', 'memory', key, oldData, ram[prefix + key]);
+			return true;
+		}
+
+		/**
+		 * Get the specified value from the in-memory store.
+		 *
+		 * NOTE: Expired values are removed and read as null.
+		 *
+		 * @param {string} key The name of the value.
+		 * @return {mixed} The value previously added under the specified key, else null.
+		 * @private
+		 */
+		function getFromMemory(key) {
+			key = prefix + key;
+			if (!ram.hasOwnProperty(key)) {
+				return null;
+			}
+			var entry;
+			try {
+				entry = serializer.parse(ram[key]);
+			} catch (e) {
+				croak(e, 'get', 'memory', key.substr(prefix.length));
+				return null;
+			}
+			if (isExpired(entry)) {
+				delete ram[key];
+				return null;
+			}
+			return unpack(entry);
+		}
+
+		/**
+		 * Check if the given key exists in the in-memory store.
+		 *
+		 * @param {string} key The name of the value.
+		 * @return {boolean} True if the key exists, else false.
+		 * @private
+		 */
+		function hasInMemory(key) {
+			return null !== getFromMemory(key);
+		}
+
+		/**
+		 * Return the names of all keys with the current prefix in the memory store.
+		 * Expired values are skipped (they're removed by `purgeExpired()`.)
+		 *
+		 * @return {Array} The key names, without the prefix.
+		 * @private
+		 */
+		function keysInMemory() {
+			var keys = [];
+			var prefixLength = prefix.length;
+			for (var key in ram) {
+				if (ram.hasOwnProperty(key) && key.substr(0, prefixLength) === prefix && !isExpiredRaw(ram[key])) {
+					keys.push(key.substr(prefixLength));
+				}
+			}
+			return keys;
+		}
+
+		/**
+		 * Return the name of the nth key with the current prefix in the memory store.
+		 * 
+		 * @param {number} index An integer representing the number
+		 *   of the key to the return the name of.
+		 * @return {string|null} The name of the key (without the prefix)
+		 *   if available or null otherwise.
+		 */
+		function keyInMemory(index) {
+			return nthKey(keysInMemory(), index);
+		}
+
+		/**
+		 * Returns an integer representing the number of items with the current
+		 * prefix stored in the in-memory store. Expired values aren't counted.
+		 * 
+		 * @return {number} The number of items currently stored in 
+		 *   the in-memory store.
+		 */
+		function lengthInMemory() {
+			return keysInMemory().length;
+		}
+
+		/**
+		 * Remove the specified key/value pair from the in-memory store.
+		 *
+		 * @param {string} key The name of the value to remove.
+		 * @return {boolean} True on success, else false.
+		 * @private
+		 */
+		function removeFromMemory(key) {
+			if (ram.hasOwnProperty(prefix + key)) {
+				var oldData = ram[prefix + key];
+				delete ram[prefix + key];
+				broadcastChange('remove', 'memory', key, oldData, null);
+			}
+			return true;
+		}
+
+		/**
+		 * Clear all key/value pairs form the in-memory store.
+		 *
+		 * NOTE: If a prefix has been specified in the module constant 'prefix' then only
+		 * values with that specific prefix will be removed.
+		 *
+		 * @return {boolean} True on success, else false.
+		 * @private
+		 */
+		function clearMemory() {
+			var cleared = [];
+			var prefixLength = prefix.length;
+			for (var key in ram) {
+				if (ram.hasOwnProperty(key) && key.substr(0, prefixLength) === prefix) {
+					cleared.push(key.substr(prefixLength));
+				}
+			}
+
+			if (!!prefix) {
+				for (var ith = 0; ith < cleared.length; ++ith) {
+					delete ram[prefix + cleared[ith]];
+				}
+			} else {
+				ram = {};
+			}
+
+			if (cleared.length) {
+				broadcastChange('clear', 'memory', null, null, null, cleared);
+			}
+			return true;
+		}
+
+		/**
+		 * Remove all expired key/value pairs from the in-memory store.
+		 *
+		 * NOTE: If a prefix has been specified in the module constant 'prefix' then only
+		 * values with that specific prefix will be examined.
+		 *
+		 * @return {number} The number of expired values that were removed.
+		 * @private
+		 */
+		function purgeExpiredFromMemory() {
+			var count = 0;
+			var prefixLength = prefix.length;
+			for (var key in ram) {
+				if (ram.hasOwnProperty(key) && key.substr(0, prefixLength) === prefix &&
+						isExpired(parseQuietlyAsEntry(ram[key]))) {
+					delete ram[key];
+					count += 1;
+				}
+			}
+			return count;
+		}
+
+		/**
+		 * Add or update the specified key/value pair in the IndexedDB store.
+		 *
+		 * NOTE: Values are stored as JSON strings, just like in the local store.
+		 *
+		 * @param {string} key The name to store the value under.
+		 * @param {mixed} value The value to set (all values are stored as JSON.)
+		 * @param {Object} options (Optional) May hold an expiry as `ttl` or `expires`.
+		 * @return {Promise} Resolved with true on success, else false.
+		 * @private
+		 */
+		function setInIndexedDb(key, value, options) {
+			var currentPrefix = prefix;
+			var name = prefix + key;
+			var data, oldData = null;
+			try {
+				data = serializer.stringify(pack(value, options));
+			} catch (e) {
+				return $q.when(croak(e, 'set', 'idb', key));
+			}
+			return indexedDbTransaction('readwrite', function (store, result) {
+				var request = store.get(name);
+				request.onsuccess = function () {
+					oldData = typeof request.result === 'string' ? request.result : null;
+				};
+				store.put(data, name);
+				result.value = true;
+			}).then(function (value) {
+				broadcastChange('set', 'idb', key, oldData, data, undefined, currentPrefix);
+				return value;
+			}, croakWith(false, 'set', 'idb', key));
+		}
+
+		/**
+		 * Get the specified value from the IndexedDB store.
+		 *
+		 * NOTE: Expired values are removed and read as null.
+		 *
+		 * @param {string} key The name of the value.
+		 * @return {Promise} Resolved with the value previously added under the
+		 *   specified key, else null.
+		 * @private
+		 */
+		function getFromIndexedDb(key) {
+			var name = prefix + key;
+			return indexedDbTransaction('readwrite', function (store, result) {
+				var request = store.get(name);
+				request.onsuccess = function () {
+					var entry;
+					try {
+						entry = request.result ? serializer.parse(request.result) : null;
+					} catch (e) {
+						result.error = e;
+						return;
+					}
+					if (isExpired(entry)) {
+						store['delete'](name);
+						entry = null;
+					}
+					result.value = unpack(entry);
+				};
+			}).then(null, croakWith(null, 'get', 'idb', key));
+		}
+
+		/**
+		 * Check if the given key exists in the IndexedDB store.
+		 *
+		 * @param {string} key The name of the value.
+		 * @return {Promise} Resolved with true if the key exists, else false.
+		 * @private
+		 */
+		function hasInIndexedDb(key) {
+			return getFromIndexedDb(key).then(isNotNull);
+		}
+
+		/**
+		 * Return the name of the nth key with the current prefix in the IndexedDB store.
+		 *
+		 * @param {number} num An integer representing the number
+		 *   of the key to the return the name of.
+		 * @return {Promise} Resolved with the name of the key (without
+		 *   the prefix) if available or null otherwise.
+		 * @private
+		 */
+		function keyInIndexedDb(num) {
+			return keysInIndexedDb().then(function (keys) {
+				return nthKey(keys, num);
+			});
+		}
+
+		/**
+		 * Returns the number of items with the current prefix stored in the
+		 * IndexedDB store. Expired values are not counted.
+		 *
+		 * @return {Promise} Resolved with the number of items currently
+		 *   stored in the IndexedDB store.
+		 * @private
+		 */
+		function lengthInIndexedDb() {
+			return keysInIndexedDb().then(function (keys) {
+				return keys.length;
+			});
+		}
+
+		/**
+		 * Remove the specified key/value pair from the IndexedDB store.
+		 *
+		 * @param {string} key The name of the value to remove.
+		 * @return {Promise} Resolved with true on success, else false.
+		 * @private
+		 */
+		function removeFromIndexedDb(key) {
+			var currentPrefix = prefix;
+			var name = prefix + key;
+			var oldData = null;
+			return indexedDbTransaction('readwrite', function (store, result) {
+				var request = store.get(name);
+				request.onsuccess = function () {
+					oldData = typeof request.result === 'string' ? request.result : null;
+				};
+				store['delete'](name);
+				result.value = true;
+			}).then(function (value) {
+				if (oldData !== null) {
+					broadcastChange('remove', 'idb', key, oldData, null, undefined, currentPrefix);
+				}
+				return value;
+			}, croakWith(false, 'remove', 'idb', key));
+		}
+
+		/**
+		 * Clear all key/value pairs from the IndexedDB store.
+		 *
+		 * NOTE: If a prefix has been specified in the module constant 'prefix' then only
+		 * values with that specific prefix will be removed.
+		 *
+		 * @return {Promise} Resolved with true on success, else false.
+		 * @private
+		 */
+		function clearIndexedDb() {
+			var currentPrefix = prefix;
+			var cleared = [];
+			return indexedDbTransaction('readwrite', function (store, result) {
+				result.value = true;
+				eachIndexedDbEntry(store, currentPrefix, function (cursor) {
+					cleared.push(String(cursor.key).substr(currentPrefix.length));
+					cursor['delete']();
+				});
+			}).then(function (value) {
+				if (cleared.length) {
+					broadcastChange('clear', 'idb', null, null, null, cleared, currentPrefix);
+				}
+				return value;
+			}, croakWith(false, 'clear', 'idb'));
+		}
+
+		/**
+		 * Remove all expired key/value pairs from the IndexedDB store.
+		 *
+		 * NOTE: If a prefix has been specified in the module constant 'prefix' then only
+		 * values with that specific prefix will be examined.
+		 *
+		 * @return {Promise} Resolved with the number of expired values that were removed.
+		 * @private
+		 */
+		function purgeExpiredFromIndexedDb() {
+			var currentPrefix = prefix;
+			return indexedDbTransaction('readwrite', function (store, result) {
+				result.value = 0;
+				eachIndexedDbEntry(store, currentPrefix, function (cursor) {
+					if (isExpired(parseQuietlyAsEntry(cursor.value))) {
+						cursor['delete']();
+						result.value += 1;
+					}
+				});
+			}).then(null, croakWith(0, 'purgeExpired', 'idb'));
+		}
+
+		/**
+		 * Return the names of all keys with the current prefix in the IndexedDB store.
+		 *
+		 * @return {Promise} Resolved with an array of key names, without the prefix.
+		 * @private
+		 */
+		function keysInIndexedDb() {
+			var currentPrefix = prefix;
+			return indexedDbTransaction('readonly', function (store, result) {
+				result.value = [];
+				eachIndexedDbEntry(store, currentPrefix, function (cursor) {
+					if (!isExpired(parseQuietlyAsEntry(cursor.value))) {
+						result.value.push(String(cursor.key).substr(currentPrefix.length));
+					}
+				});
+			}).then(null, croakWith([], 'keys', 'idb'));
+		}
+
+		/**
+		 * Return all key/value pairs with the current prefix in the IndexedDB store.
+		 *
+		 * @return {Promise} Resolved with an array of `[key, value]` pairs, keys
+		 *   without the prefix.
+		 * @private
+		 */
+		function entriesInIndexedDb() {
+			var currentPrefix = prefix;
+			return indexedDbTransaction('readonly', function (store, result) {
+				result.value = [];
+				eachIndexedDbEntry(store, currentPrefix, function (cursor) {
+					var entry = parseQuietlyAsEntry(cursor.value);
+					if (entry !== null && !isExpired(entry)) {
+						result.value.push([String(cursor.key).substr(currentPrefix.length), unpack(entry)]);
+					}
+				});
+			}).then(null, croakWith([], 'entries', 'idb'));
+		}
+
+		/**
+		 * Return the values of all keys with the current prefix in the IndexedDB store.
+		 *
+		 * @return {Promise} Resolved with an array of values.
+		 * @private
+		 */
+		function valuesInIndexedDb() {
+			return entriesInIndexedDb().then(function (entries) {
+				var values = [];
+				for (var ith = 0; ith < entries.length; ++ith) {
+					values.push(entries[ith][1]);
+				}
+				return values;
+			});
+		}
+
+		/**
+		 * Call the given function with each key/value pair with the current prefix
+		 * in the IndexedDB store.
+		 *
+		 * @param {Function} fn Called as `fn(value, key)`, key without the prefix.
+		 * @return {Promise} Resolved once the function has been called for all pairs.
+		 * @private
+		 */
+		function forEachInIndexedDb(fn) {
+			return entriesInIndexedDb().then(function (entries) {
+				for (var ith = 0; ith < entries.length; ++ith) {
+					fn(entries[ith][1], entries[ith][0]);
+				}
+			});
+		}
+
+		/**
+		 * Helper method, iterates all entries in an IndexedDB object store whose keys
+		 * start with the given prefix.
+		 *
+		 * @param {IDBObjectStore} store The object store.
+		 * @param {string} keyPrefix The prefix of the keys to visit.
+		 * @param {Function} callback Called with a cursor pointing at each entry.
+		 * @private
+		 */
+		function eachIndexedDbEntry(store, keyPrefix, callback) {
+			var request = store.openCursor();
+			request.onsuccess = function () {
+				var cursor = request.result;
+				if (cursor) {
+					if (String(cursor.key).substr(0, keyPrefix.length) === keyPrefix) {
+						callback(cursor);
+					}
+					cursor['continue']();
+				}
+			};
+		}
+
+		/**
+		 * Helper method, runs an operation in an IndexedDB transaction.
+		 *
+		 * The operation is called with the object store and a result object, whose
+		 * `value` it should set. The returned promise is resolved with that value,
+		 * inside a digest, once the transaction has completed. If the operation sets
+		 * the result's `error` then the promise is rejected with it instead.
+		 *
+		 * @param {string} mode The transaction mode ('readonly' or 'readwrite'.)
+		 * @param {Function} operation Called with the object store and the result object.
+		 * @return {Promise} Resolved with the result, or rejected with the error.
+		 * @private
+		 */
+		function indexedDbTransaction(mode, operation) {
+			return openIndexedDb().then(function (db) {
+				var deferred = $q.defer();
+				var result = { value: null, error: null };
+				try {
+					var transaction = db.transaction(INDEXEDDB_STORE, mode);
+					transaction.oncomplete = function () {
+						digest(function () {
+							if (result.error) {
+								deferred.reject(result.error);
+							} else {
+								deferred.resolve(result.value);
+							}
+						});
+					};
+					transaction.onerror = transaction.onabort = function () {
+						digest(function () {
+							deferred.reject(transaction.error || new Error('IndexedDB transaction aborted'));
+						});
+					};
+					operation(transaction.objectStore(INDEXEDDB_STORE), result);
+				} catch (e) {
+					return $q.reject(e);
+				}
+				return deferred.promise;
+			});
+		}
+
+		/**
+		 * Helper method, opens the IndexedDB database on first use.
+		 *
+		 * NOTE: If the database can't be opened then the IndexedDB engine is
+		 * flagged as unsupported, so that the asynchronous generic API falls
+		 * back on the next storage engine.
+		 *
+		 * @return {Promise} Resolved with the database, or rejected with the error.
+		 * @private
+		 */
+		function openIndexedDb() {
+			if (indexedDb === null) {
+				var request;
+				try {
+					request = window.indexedDB.open(settings.indexedDbName, 1);
+				} catch (e) {
+					// Rejected without a digest, so that the caller may handle it first.
+					webStorage.idb.isSupported = false;
+					return $q.reject(unavailableError('idb', e));
+				}
+				var deferred = $q.defer();
+				indexedDb = deferred.promise;
+				request.onupgradeneeded = function () {
+					request.result.createObjectStore(INDEXEDDB_STORE);
+				};
+				request.onsuccess = function () {
+					digest(function () { deferred.resolve(request.result); });
+				};
+				request.onerror = function () {
+					webStorage.idb.isSupported = false;
+					digest(function () { deferred.reject(unavailableError('idb', request.error)); });
+				};
+			}
+			return indexedDb;
+		}
+
+		/**
+		 * Report the storage used by the key/value pairs with the current prefix in
+		 * the in-memory store.
+		 *
+		 * NOTE: The in-memory store has no quota, so `remaining` is always null.
+		 *
+		 * @return {Object} The usage report (see `webStorage.local.usage`.)
+		 * @private
+		 */
+		function usageOfMemory() {
+			var report = { used: 0, keys: {}, remaining: null };
+			var prefixLength = prefix.length;
+			for (var key in ram) {
+				if (ram.hasOwnProperty(key) && key.substr(0, prefixLength) === prefix) {
+					var size = sizeOf(key, ram[key]);
+					report.keys[key.substr(prefixLength)] = size;
+					report.used += size;
+				}
+			}
+			return report;
+		}
+
+		/**
+		 * Report the storage used by the key/value pairs with the current prefix in
+		 * the IndexedDB store.
+		 *
+		 * NOTE: If `probe` is true and the client supports the StorageManager API then
+		 * the remaining quota is estimated from the quota of the whole origin.
+		 *
+		 * @param {boolean} probe If true, estimate the remaining quota.
+		 * @return {Promise} Resolved with the usage report (see `webStorage.local.usage`.)
+		 * @private
+		 */
+		function usageOfIndexedDb(probe) {
+			var currentPrefix = prefix;
+			var report = indexedDbTransaction('readonly', function (store, result) {
+				result.value = { used: 0, keys: {}, remaining: null };
+				eachIndexedDbEntry(store, currentPrefix, function (cursor) {
+					var size = sizeOf(String(cursor.key), cursor.value);
+					result.value.keys[String(cursor.key).substr(currentPrefix.length)] = size;
+					result.value.used += size;
+				});
+			});
+			if (probe && window.navigator && window.navigator.storage && window.navigator.storage.estimate) {
+				report = report.then(function (result) {
+					var deferred = $q.defer();
+					window.navigator.storage.estimate().then(function (estimate) {
+						digest(function () {
+							result.remaining = estimate.quota - estimate.usage;
+							deferred.resolve(result);
+						});
+					}, function () {
+						digest(function () { deferred.resolve(result); });
+					});
+					return deferred.promise;
+				});
+			}
+			return report.then(null, croakWith({ used: 0, keys: {}, remaining: null }, 'usage', 'idb'));
+		}
+
+		/**
+		 * Helper method, returns the number of bytes taken by a stored key/value pair,
+		 * counting two bytes per character (browsers store strings as UTF-16.)
+		 *
+		 * @param {string} key The stored (prefixed) key.
+		 * @param {string|null} value The stored value.
+		 * @return {number} The size in bytes.
+		 * @private
+		 */
+		function sizeOf(key, value) {
+			return (key.length + (value ? value.length : 0)) * 2;
+		}
+
+		/**
+		 * Helper method, removes all expired values with the current prefix from
+		 * the given web store (e.g. `localStorage` or `sessionStorage`.)
+		 *
+		 * NOTE: Values that aren't valid JSON (e.g. set by some other script) are
+		 * silently skipped.
+		 *
+		 * @param {Storage} store The web store to purge.
+		 * @return {number} The number of expired values that were removed.
+		 * @private
+		 */
+		function purgeExpiredFromStore(store) {
+			var expired = [];
 			var prefixLength = prefix.length;
+			var length = lengthOf(store);
+			for (var ith = 0; ith < length; ++ith) {
+				var key = store.key(ith);
+				if (key !== null && key.substr(0, prefixLength) === prefix) {
+					var entry;
+					try {
+						entry = serializer.parse(decode(store.getItem(key)));
+					} catch (e) {
+						continue;
+					}
+					if (isExpired(entry)) {
+						expired.push(key);
+					}
+				}
+			}
+			for (var jth = 0; jth < expired.length; ++jth) {
+				store.removeItem(expired[jth]);
+			}
+			return expired.length;
+		}
+
+		/**
+		 * Helper method, returns the names in the given list that are recognized
+		 * storage engines.
+		 *
+		 * @param {Array} newOrder An array of storage engine names.
+		 * @return {Array} A new array holding the recognized names.
+		 * @private
+		 */
+		function sanitizeOrder(newOrder) {
+			var result = [];
+			for (var ith in newOrder) {
+				if (indexOf(engineNames, newOrder[ith]) !== -1) {
+					result.push(newOrder[ith]);
+				}
+			}
+			return result;
+		}
+
+		/**
+		 * Helper method, returns the index of the given item in an array (for
+		 * clients lacking `Array.prototype.indexOf`.)
+		 *
+		 * @param {Array} array The array to search.
+		 * @param {mixed} item The item to find.
+		 * @return {number} The index of the item, or -1 if not found.
+		 * @private
+		 */
+		function indexOf(array, item) {
+			for (var ith = 0; ith < array.length; ++ith) {
+				if (array[ith] === item) {
+					return ith;
+				}
+			}
+			return -1;
+		}
+
+		/**
+		 * Helper method, returns the number of items in the given web store, whose
+		 * `length` may either be a property (e.g. `localStorage`) or a method.
+		 *
+		 * @param {Object} store The web store or adapter.
+		 * @return {number} The number of items in the store.
+		 * @private
+		 */
+		function lengthOf(store) {
+			return angular.isFunction(store.length) ? store.length() : store.length;
+		}
+
+		/**
+		 * Helper method, checks if the given prefixed key is used by the service
+		 * itself, i.e. the test key and the keys used by schema versioning.
+		 *
+		 * @param {string} key The prefixed key.
+		 * @return {boolean} True if the key is reserved, else false.
+		 * @private
+		 */
+		function isReservedKey(key) {
+			return key === prefix + settings.testKey ||
+				key === prefix + VERSION_KEY ||
+				key === prefix + QUARANTINE_KEY;
+		}
+
+		/**
+		 * Helper method, migrates the data with the current prefix in the given web
+		 * store to the configured schema version (see `webStorageProvider.version()`.)
+		 *
+		 * All values are migrated in memory before any of them is written, so a
+		 * failing migration leaves the store untouched (or, should writing fail,
+		 * rolled back) before the data is possibly quarantined. Values that can't
+		 * be parsed weren't stored by the service (e.g. another script's values,
+		 * with an empty prefix) and are left alone.
+		 *
+		 * @param {Object} store The web store or adapter.
+		 * @private
+		 */
+		function migrateStore(store) {
+			if (settings.version === null) return;
+			var target = settings.version;
+			var versionKey = prefix + VERSION_KEY;
+			var snapshot = {};
+			var entries = {};
+			var keys = [];
+			var current;
+			try {
+				var length = lengthOf(store);
+				for (var ith = 0; ith < length; ++ith) {
+					var key = store.key(ith);
+					if (key !== null && key.substr(0, prefix.length) === prefix && !isReservedKey(key)) {
+						var raw = store.getItem(key);
+						try {
+							entries[key] = serializer.parse(decode(raw));
+						} catch (e) {
+							continue;
+						}
+						keys.push(key);
+						snapshot[key] = raw;
+					}
+				}
+				var recorded = store.getItem(versionKey);
+				current = recorded !== null ? parseInt(recorded, 10) || 0 : (keys.length ? 0 : target);
+				if (current >= target) {
+					if (recorded === null) {
+						store.setItem(versionKey, String(target));
+					}
+					return;
+				}
+			} catch (e) {
+				notifyError(toStorageError(e, 'migrate'));
+				return;
+			}
+
+			try {
+				angular.forEach(keys, function (key) {
+					if (isExpired(entries[key])) {
+						delete entries[key];
+					}
+				});
+				for (var version = current; version < target; ++version) {
+					if (migrations.hasOwnProperty(version)) {
+						angular.forEach(entries, migrateEntry(entries, migrations[version]));
+					}
+				}
+				angular.forEach(keys, function (key) {
+					if (entries.hasOwnProperty(key)) {
+						store.setItem(key, encode(serializer.stringify(entries[key])));
+					} else {
+						store.removeItem(key);
+					}
+				});
+				store.setItem(versionKey, String(target));
+			} catch (e) {
+				restoreStore(store, snapshot);
+				if (settings.migrationFailure === 'quarantine') {
+					quarantineStore(store, snapshot, current, target);
+				}
+				notifyError(toStorageError(storageError('MIGRATION_FAILED',
+					'Could not migrate the stored data from version ' + current + ' to ' + target +
+						(e && e.message ? ' (' + e.message + ')' : ''), e), 'migrate'));
+			}
+		}
+
+		/**
+		 * Helper method, returns an iterator applying the given migration to the
+		 * stored entries (see `migrateStore`.)
+		 *
+		 * @param {Object} entries The stored entries by prefixed key, updated in place.
+		 * @param {Function} migration The migration, `fn(value, key)`.
+		 * @return {Function} The iterator, called with an entry and its key.
+		 * @private
+		 */
+		function migrateEntry(entries, migration) {
+			return function (entry, key) {
+				var value = migration(unpack(entry), key.substr(prefix.length));
+				if (typeof value === STR_UNDEFINED) {
+					delete entries[key];
+				} else if (isEnvelope(entry)) {
+					entry.value = value;
+				} else {
+					entries[key] = value;
+				}
+			};
+		}
+
+		/**
+		 * Helper method, writes the given raw values back into the given web store.
+		 *
+		 * @param {Object} store The web store or adapter.
+		 * @param {Object} snapshot The raw values by prefixed key.
+		 * @private
+		 */
+		function restoreStore(store, snapshot) {
+			angular.forEach(snapshot, function (raw, key) {
+				try {
+					store.setItem(key, raw);
+				} catch (e) {
+					// The value was never overwritten, or the store is unavailable.
+				}
+			});
+		}
+
+		/**
+		 * Helper method, moves the given raw values aside under the quarantine key
+		 * and records the target schema version. If the quarantine can't be stored
+		 * then the values are left as they are, and so are the values of an empty
+		 * prefix, which may be shared with other scripts (i.e. they're only copied.)
+		 *
+		 * @param {Object} store The web store or adapter.
+		 * @param {Object} snapshot The raw values by prefixed key.
+		 * @param {number} version The schema version of the values.
+		 * @param {number} target The schema version to record.
+		 * @private
+		 */
+		function quarantineStore(store, snapshot, version, target) {
+			var quarantine = { version: version, values: {} };
+			angular.forEach(snapshot, function (raw, key) {
+				quarantine.values[key.substr(prefix.length)] = raw;
+			});
+			try {
+				store.setItem(prefix + QUARANTINE_KEY, encode(serializer.stringify(quarantine)));
+			} catch (e) {
+				return;
+			}
+			if (prefix !== '') {
+				angular.forEach(snapshot, function (raw, key) {
+					store.removeItem(key);
+				});
+			}
+			store.setItem(prefix + VERSION_KEY, String(target));
+		}
+
+		/**
+		 * Helper method, returns a function that calls the given method with the
+		 * prefix and order temporarily set to those of the given namespace context.
+		 *
+		 * @param {Object} context The namespace context holding `prefix` and `order`.
+		 * @param {Function} method The method to call.
+		 * @return {Function} The wrapped method.
+		 * @private
+		 */
+		function inContext(context, method) {
+			return function () {
+				var previousPrefix = prefix;
+				var previousOrder = order;
+				prefix = context.prefix;
+				order = context.order;
+				try {
+					return method.apply(this, arguments);
+				} finally {
+					prefix = previousPrefix;
+					order = previousOrder;
+				}
+			};
+		}
+
+		/**
+		 * Helper method, adds a getter for the API of the given storage engine to
+		 * all namespaced APIs, including the ones created before the engine was
+		 * registered.
+		 *
+		 * @param {string} name The name of the storage engine.
+		 * @private
+		 */
+		function addNamespaceEngine(name) {
+			Object.defineProperty(namespacePrototype, name, {
+				enumerable: true,
+				get: function () { return this.$$engine(name); }
+			});
+		}
+
+		/**
+		 * Helper method, creates the direct API of the given storage engine within
+		 * a namespace. Its flags are read from the engine whenever they are used,
+		 * since e.g. IndexedDB may turn out to be unavailable later on.
+		 *
+		 * @param {Object} context The namespace's `prefix` and `order`.
+		 * @param {string} name The name of the storage engine.
+		 * @return {Object} The namespaced direct API.
+		 * @private
+		 */
+		function namespacedEngine(context, name) {
+			var api = {
+				isPolyfilled: function () {
+					return webStorage[name].isPolyfilled.apply(webStorage[name], arguments);
+				}
+			};
+			angular.forEach(['isSupported', 'isAsync'], function (flag) {
+				Object.defineProperty(api, flag, {
+					enumerable: true,
+					get: function () { return webStorage[name][flag]; }
+				});
+			});
+			angular.forEach(NAMESPACED_METHODS, function (method) {
+				api[method] = inContext(context, function () {
+					return webStorage[name][method].apply(this, arguments);
+				});
+			});
+			return api;
+		}
+
+		/**
+		 * Helper method, returns the Storage-like adapter of the given synchronous
+		 * storage engine, which is handed serialized (prefixed) values as-is.
+		 *
+		 * @param {string} name The name of the storage engine.
+		 * @return {Object|null} The adapter, or null if the engine is asynchronous
+		 *   or not supported.
+		 * @private
+		 */
+		function rawStoreOf(name) {
+			if (name === 'memory') {
+				return {
+					getItem: function (key) { return ram.hasOwnProperty(key) ? ram[key] : null; },
+					setItem: function (key, data) { ram[key] = data; },
+					removeItem: function (key) { delete ram[key]; }
+				};
+			}
+			if (!engineStores.hasOwnProperty(name) || !webStorage[name].isSupported) {
+				return null;
+			}
+			return engineStores[name]();
+		}
+
+		/**
+		 * Helper method, restores a value recorded by a transaction (see
+		 * `transaction()`), without broadcasting any changes or errors.
+		 *
+		 * @param {Object} snapshot Holds the `store`, the prefixed `key` and the
+		 *   recorded `data` (null if the key didn't exist.)
+		 * @private
+		 */
+		function restoreSnapshot(snapshot) {
+			try {
+				if (snapshot.data === null) {
+					snapshot.store.removeItem(snapshot.key);
+				} else {
+					snapshot.store.setItem(snapshot.key, snapshot.data);
+				}
+			} catch (e) {
+				// Nothing more may be done, the error that caused the rollback is broadcast.
+			}
+		}
+
+		/**
+		 * Helper method, returns a $q promise of the given value or (native)
+		 * promise, resolved inside a digest.
+		 *
+		 * @param {mixed} result The value or promise.
+		 * @return {Promise} The $q promise.
+		 * @private
+		 */
+		function settle(result) {
+			if (!result || !angular.isFunction(result.then)) {
+				return $q.when(result);
+			}
+			var deferred = $q.defer();
+			result.then(function (value) {
+				digest(function () { deferred.resolve(value); });
+			}, function (error) {
+				digest(function () { deferred.reject(error); });
+			});
+			return deferred.promise;
+		}
+
+		/**
+		 * Check the client's support for the default AES-GCM cipher.
+		 *
+		 * @return {boolean} True if the client supports WebCrypto, else false.
+		 * @private
+		 */
+		function hasWebCrypto() {
+			return !!(window.crypto && window.crypto.subtle && window.crypto.getRandomValues &&
+				window.TextEncoder && window.TextDecoder);
+		}
+
+		/**
+		 * The default cipher's `encrypt`, encrypts a string with AES-GCM via WebCrypto.
+		 *
+		 * @param {string} plaintext The string to encrypt.
+		 * @param {CryptoKey} key The AES-GCM key.
+		 * @return {Promise} Resolved with the Base64 encoded IV and ciphertext.
+		 * @private
+		 */
+		function encryptWithAesGcm(plaintext, key) {
+			var iv = window.crypto.getRandomValues(new Uint8Array(12));
+			var data = new window.TextEncoder().encode(plaintext);
+			return window.crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, data).then(function (ciphertext) {
+				return toBase64(iv) + '.' + toBase64(new Uint8Array(ciphertext));
+			});
+		}
+
+		/**
+		 * The default cipher's `decrypt`, decrypts a string encrypted by `encryptWithAesGcm`.
+		 *
+		 * @param {string} ciphertext The Base64 encoded IV and ciphertext.
+		 * @param {CryptoKey} key The AES-GCM key.
+		 * @return {Promise} Resolved with the decrypted string.
+		 * @private
+		 */
+		function decryptWithAesGcm(ciphertext, key) {
+			var parts = String(ciphertext).split('.');
+			return window.crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(parts[0]) }, key,
+					fromBase64(parts[1] || '')).then(function (plaintext) {
+				return new window.TextDecoder().decode(plaintext);
+			});
+		}
+
+		/**
+		 * Helper method, Base64 encodes the given bytes.
+		 *
+		 * @param {Uint8Array} bytes The bytes to encode.
+		 * @return {string} The Base64 encoded string.
+		 * @private
+		 */
+		function toBase64(bytes) {
+			var binary = '';
+			for (var ith = 0; ith < bytes.length; ++ith) {
+				binary += String.fromCharCode(bytes[ith]);
+			}
+			return window.btoa(binary);
+		}
+
+		/**
+		 * Helper method, decodes the given Base64 string into bytes.
+		 *
+		 * @param {string} str The Base64 encoded string.
+		 * @return {Uint8Array} The decoded bytes.
+		 * @private
+		 */
+		function fromBase64(str) {
+			var binary = window.atob(str);
+			var bytes = new Uint8Array(binary.length);
+			for (var ith = 0; ith < binary.length; ++ith) {
+				bytes[ith] = binary.charCodeAt(ith);
+			}
+			return bytes;
+		}
+
+		/**
+		 * Helper method, checks if the given stored value was written by an
+		 * encrypted API (see `encrypt()`.)
+		 *
+		 * @param {mixed} record The stored value.
+		 * @return {boolean} True if the value holds a `keyId` and encrypted `data`, else false.
+		 * @private
+		 */
+		function isEncryptedRecord(record) {
+			return angular.isObject(record) && record.hasOwnProperty('keyId') && typeof record.data === 'string';
+		}
+
+		/**
+		 * Helper method, returns the error broadcast when a value can't be decrypted.
+		 *
+		 * @param {string} key The name of the value.
+		 * @param {Object} cause (Optional) The error thrown by the cipher.
+		 * @return {Object} The error.
+		 * @private
+		 */
+		function decryptionError(key, cause) {
+			return storageError('DECRYPTION_FAILED',
+				'Could not decrypt the value of "' + key + '"' + (cause && cause.message ? ' (' + cause.message + ')' : ''), cause);
+		}
+
+		/**
+		 * Helper method, wraps the given value together with its metadata (if any)
+		 * before it is stored. Values without metadata are returned as-is so that
+		 * they are stored just like they always have been.
+		 *
+		 * @param {mixed} value The value to store.
+		 * @param {Object} options (Optional) May hold an expiry as `ttl` (in
+		 *   milliseconds) or `expires` (a Date or a timestamp in milliseconds), an
+		 *   eviction `priority` and the `pinned` flag.
+		 * @return {mixed} The value, or an envelope holding the value and its metadata.
+		 * @private
+		 */
+		function pack(value, options) {
+			var meta = {};
+			var hasMeta = false;
+			if (angular.isObject(options)) {
+				var expires = expiryOf(options);
+				if (expires !== null) {
+					meta.expires = expires;
+				}
+				if (angular.isNumber(options.priority)) {
+					meta.priority = options.priority;
+				}
+				if (options.pinned) {
+					meta.pinned = true;
+				}
+				hasMeta = !angular.equals(meta, {});
+			}
+			if (evictionPolicy !== 'none') {
+				meta.created = new Date().getTime();
+				hasMeta = true;
+			}
+			if (!hasMeta) {
+				return value;
+			}
+			var envelope = { value: value };
+			envelope[META_KEY] = meta;
+			return envelope;
+		}
+
+		/**
+		 * Helper method, returns the expiry date given by the options of `set`.
+		 *
+		 * @param {Object} options (Optional) May hold an expiry as `ttl` (in
+		 *   milliseconds) or `expires` (a Date or a timestamp in milliseconds.)
+		 * @return {number|null} The expiry as a timestamp in milliseconds, or null.
+		 * @private
+		 */
+		function expiryOf(options) {
+			if (!angular.isObject(options)) {
+				return null;
+			} else if (angular.isNumber(options.ttl)) {
+				return new Date().getTime() + options.ttl;
+			} else if (angular.isDate(options.expires)) {
+				return options.expires.getTime();
+			} else if (angular.isNumber(options.expires)) {
+				return options.expires;
+			}
+			return null;
+		}
+
+		/**
+		 * Helper method, returns the prefixed keys of the values in the given store
+		 * that may be evicted, in the order they should be evicted according to the
+		 * eviction policy (see `evictionPolicy()`.)
+		 *
+		 * @param {Object} store The web store or adapter.
+		 * @param {string} excludedKey The prefixed key being written.
+		 * @param {Object} accesses The tracked accesses of the store, by prefixed key.
+		 * @return {Array} The prefixed keys to evict, in order.
+		 * @private
+		 */
+		function evictionCandidates(store, excludedKey, accesses) {
+			var candidates = [];
+			var length = lengthOf(store);
+			for (var ith = 0; ith < length; ++ith) {
+				var key = store.key(ith);
+				if (key === null || key === excludedKey || isReservedKey(key) || key.substr(0, prefix.length) !== prefix) {
+					continue;
+				}
+				var entry = parseQuietlyAsEntry(store.getItem(key));
+				var meta = isEnvelope(entry) ? entry[META_KEY] : {};
+				var expired = isExpired(entry);
+				if (meta.pinned || (evictionPolicy === 'expired' && !expired)) {
+					continue;
+				}
+				var access = accesses[key] || { hits: 0, clock: 0 };
+				candidates.push({
+					key: key,
+					expired: expired,
+					priority: angular.isNumber(meta.priority) ? meta.priority : 0,
+					created: angular.isNumber(meta.created) ? meta.created : 0,
+					hits: access.hits,
+					clock: access.clock
+				});
+			}
+			candidates.sort(function (a, b) {
+				if (a.expired !== b.expired) return a.expired ? -1 : 1;
+				if (a.priority !== b.priority) return a.priority - b.priority;
+				if (evictionPolicy === 'lfu' && a.hits !== b.hits) return a.hits - b.hits;
+				if (evictionPolicy !== 'oldest' && a.clock !== b.clock) return a.clock - b.clock;
+				return a.created - b.created;
+			});
+			var keys = [];
+			for (var jth = 0; jth < candidates.length; ++jth) {
+				keys.push(candidates[jth].key);
+			}
+			return keys;
+		}
+
+		/**
+		 * Helper method, checks if the given error was thrown because the quota
+		 * of a web store was exceeded.
+		 *
+		 * @param {Object} error The error to test.
+		 * @return {boolean} True if the error is a quota error, else false.
+		 * @private
+		 */
+		function isQuotaError(error) {
+			return angular.isObject(error) && (
+				error.name === 'QuotaExceededError' ||
+				error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+				error.code === 22 ||
+				error.code === 1014);
+		}
+
+		/**
+		 * The default serializer's `stringify`, see `serializer()`.
+		 *
+		 * @param {mixed} value The value to serialize.
+		 * @return {string} The JSON string.
+		 * @private
+		 */
+		function stringifyTyped(value) {
+			return JSON.stringify(value, replaceTyped);
+		}
+
+		/**
+		 * The default serializer's `parse`, see `serializer()`.
+		 *
+		 * @param {string} str The JSON string.
+		 * @return {mixed} The value.
+		 * @private
+		 */
+		function parseTyped(str) {
+			return JSON.parse(str, reviveTyped);
+		}
+
+		/**
+		 * Helper method, the `JSON.stringify` replacer of the default serializer.
+		 * Typed values are replaced by objects tagged with their type.
+		 *
+		 * NOTE: Since `JSON.stringify` calls `toJSON()` before the replacer (turning
+		 * Dates into strings), types are checked on the holder's original value.
+		 *
+		 * @param {string} key The name of the property.
+		 * @param {mixed} value The value of the property.
+		 * @return {mixed} The value to serialize in its place.
+		 * @private
+		 */
+		function replaceTyped(key, value) {
+			/* jshint validthis: true */
+			var original = this[key];
+			if (key.charAt(0) === '$' && key.charAt(1) === '$' && key !== META_KEY) {
+				return undefined;
+			}
+			if (typeof original === STR_UNDEFINED) {
+				return typed('undefined');
+			}
+			if (angular.isDate(original)) {
+				return typed('Date', isNaN(original.getTime()) ? null : original.toISOString());
+			}
+			if (original instanceof RegExp) {
+				return typed('RegExp', [original.source, String(original).substr(original.source.length + 2)]);
+			}
+			if (typeof Map !== STR_UNDEFINED && original instanceof Map) {
+				var entries = [];
+				original.forEach(function (item, itemKey) { entries.push([itemKey, item]); });
+				return typed('Map', entries);
+			}
+			if (typeof Set !== STR_UNDEFINED && original instanceof Set) {
+				var items = [];
+				original.forEach(function (item) { items.push(item); });
+				return typed('Set', items);
+			}
+			if (original && original.window === original) {
+				return '$WINDOW';
+			}
+			if (original && original === window.document) {
+				return '$DOCUMENT';
+			}
+			if (original && original.$evalAsync && original.$watch) {
+				return '$SCOPE';
+			}
+			return value;
+		}
+
+		/**
+		 * Helper method, the `JSON.parse` reviver of the default serializer,
+		 * reviving the typed values tagged by `replaceTyped`.
+		 *
+		 * @param {string} key The name of the property.
+		 * @param {mixed} value The parsed value of the property.
+		 * @return {mixed} The revived value.
+		 * @private
+		 */
+		function reviveTyped(key, value) {
+			if (!angular.isObject(value) || !angular.isObject(value[META_KEY]) ||
+					typeof value[META_KEY].type !== 'string') {
+				return value;
+			}
+			switch (value[META_KEY].type) {
+				case 'undefined':
+					return undefined;
+				case 'Date':
+					return new Date(value.value === null ? NaN : value.value);
+				case 'RegExp':
+					return new RegExp(value.value[0], value.value[1]);
+				case 'Map':
+					return typeof Map !== STR_UNDEFINED ? new Map(value.value) : value.value;
+				case 'Set':
+					return typeof Set !== STR_UNDEFINED ? new Set(value.value) : value.value;
+			}
+			return value;
+		}
+
+		/**
+		 * Helper method, returns an object tagging the given serialized value with its type.
+		 *
+		 * @param {string} type The name of the type.
+		 * @param {mixed} value (Optional) The serialized value.
+		 * @return {Object} The tagged value.
+		 * @private
+		 */
+		function typed(type, value) {
+			var result = {};
+			result[META_KEY] = { type: type };
+			if (typeof value !== STR_UNDEFINED) {
+				result.value = value;
+			}
+			return result;
+		}
+
+		/**
+		 * Helper method, compresses the given JSON string if it's longer than the
+		 * compression threshold and compressing makes it smaller.
+		 *
+		 * @param {string} json The JSON string to store.
+		 * @return {string} The string to store, compressed and marked or as-is.
+		 * @private
+		 */
+		function encode(json) {
+			if (compression === false || json.length <= compression) {
+				return json;
+			}
+			var compressed = COMPRESSED_MARKER + compress(json);
+			return compressed.length < json.length ? compressed : json;
+		}
+
+		/**
+		 * Helper method, decompresses the given stored string if it's marked as
+		 * compressed (the reverse of `encode`.)
+		 *
+		 * @param {string|null} raw The stored string.
+		 * @return {string|null} The JSON string.
+		 * @private
+		 */
+		function decode(raw) {
+			if (typeof raw === 'string' && raw.substr(0, COMPRESSED_MARKER.length) === COMPRESSED_MARKER) {
+				return decompress(raw.substr(COMPRESSED_MARKER.length));
+			}
+			return raw;
+		}
+
+		/**
+		 * Helper method, compresses a string with LZW, using a dictionary of phrases
+		 * that grows while compressing, and variable width codes.
+		 *
+		 * The code 0 is followed by a literal 16 bit character (added to the
+		 * dictionary on its first occurrence) and the code 1 ends the stream. The
+		 * codes are packed 15 bits per character, offset by 32, so that the result
+		 * holds neither control characters nor (lone) surrogates and is safe to
+		 * store as UTF-16.
+		 *
+		 * @param {string} str The string to compress.
+		 * @return {string} The compressed string.
+		 * @private
+		 */
+		function compress(str) {
+			var dictionary = {};
+			var nextCode = 2;
+			var output = [];
+			var buffer = 0;
+			var bufferLength = 0;
+			var write = function (value, width) {
+				for (var bit = width - 1; bit >= 0; --bit) {
+					buffer = (buffer << 1) | ((value >> bit) & 1);
+					if (++bufferLength === 15) {
+						output.push(String.fromCharCode(buffer + 32));
+						buffer = 0;
+						bufferLength = 0;
+					}
+				}
+			};
+
+			var phrase = '';
+			for (var ith = 0; ith < str.length; ++ith) {
+				var c = str.charAt(ith);
+				if (dictionary.hasOwnProperty('_' + phrase + c)) {
+					phrase += c;
+					continue;
+				}
+				if (phrase !== '') {
+					write(dictionary['_' + phrase], bitLength(nextCode));
+					dictionary['_' + phrase + c] = nextCode++;
+				}
+				if (dictionary.hasOwnProperty('_' + c)) {
+					phrase = c;
+				} else {
+					write(0, bitLength(nextCode));
+					write(c.charCodeAt(0), 16);
+					dictionary['_' + c] = nextCode++;
+					phrase = '';
+				}
+			}
+			if (phrase !== '') {
+				write(dictionary['_' + phrase], bitLength(nextCode));
+				// Keep in step with `decompress`, which expects a new phrase.
+				++nextCode;
+			}
+			write(1, bitLength(nextCode));
+			if (bufferLength > 0) {
+				write(0, 15 - bufferLength);
+			}
+			return output.join('');
+		}
+
+		/**
+		 * Helper method, decompresses a string compressed by `compress`.
+		 *
+		 * @param {string} str The compressed string.
+		 * @return {string} The decompressed string.
+		 * @private
+		 */
+		function decompress(str) {
+			var phrases = [null, null];
+			var position = 0;
+			var buffer = 0;
+			var bufferLength = 0;
+			var read = function (width) {
+				var value = 0;
+				for (var bit = 0; bit < width; ++bit) {
+					if (bufferLength === 0) {
+						if (position >= str.length) {
+							throw new Error('Unexpected end of compressed data');
+						}
+						buffer = str.charCodeAt(position++) - 32;
+						bufferLength = 15;
+					}
+					value = (value << 1) | ((buffer >> --bufferLength) & 1);
+				}
+				return value;
+			};
+
+			var output = [];
+			var previous = null;
+			for (;;) {
+				var code = read(bitLength(phrases.length + (previous !== null ? 1 : 0)));
+				if (code === 1) {
+					return output.join('');
+				}
+				var phrase;
+				if (code === 0) {
+					phrase = String.fromCharCode(read(16));
+				} else if (code < phrases.length) {
+					phrase = phrases[code];
+				} else if (code === phrases.length && previous !== null) {
+					phrase = previous + previous.charAt(0);
+				} else {
+					throw new Error('Invalid compressed data');
+				}
+				if (previous !== null) {
+					phrases.push(previous + phrase.charAt(0));
+				}
+				if (code === 0) {
+					phrases.push(phrase);
+					previous = null;
+				} else {
+					previous = phrase;
+				}
+				output.push(phrase);
+			}
+		}
+
+		/**
+		 * Helper method, returns the number of bits needed to represent the given number.
+		 *
+		 * @param {number} num A positive integer.
+		 * @return {number} The number of bits.
+		 * @private
+		 */
+		function bitLength(num) {
+			var bits = 0;
+			while (num > 0) {
+				++bits;
+				num = Math.floor(num / 2);
+			}
+			return bits;
+		}
+
+		/**
+		 * Helper method, returns the value from a stored entry (the reverse of `pack`.)
+		 *
+		 * @param {mixed} entry The stored entry.
+		 * @return {mixed} The stored value.
+		 * @private
+		 */
+		function unpack(entry) {
+			return isEnvelope(entry) ? entry.value : entry;
+		}
+
+		/**
+		 * Helper method, checks if the given stored entry is wrapped together with metadata.
+		 *
+		 * @param {mixed} entry The stored entry.
+		 * @return {boolean} True if the entry is an envelope created by `pack`, else false.
+		 * @private
+		 */
+		function isEnvelope(entry) {
+			return angular.isObject(entry) && angular.isObject(entry[META_KEY]);
+		}
+
+		/**
+		 * Helper method, checks if the given stored entry has expired.
+		 *
+		 * @param {mixed} entry The stored entry.
+		 * @return {boolean} True if the entry carries an expiry date that has passed, else false.
+		 * @private
+		 */
+		function isExpired(entry) {
+			return isEnvelope(entry) && angular.isNumber(entry[META_KEY].expires) &&
+				entry[META_KEY].expires <= new Date().getTime();
+		}
+
+		/**
+		 * Test the client's support for storing values in the local store.
+		 *
+		 * @return {boolean} True if the client has support for the local store, else false.
+		 * @private
+		 */
+		function testLocalStorage() {
+			polyfillLocalStorage();
+			return testStore(window.localStorage);
+		}
+
+		/**
+		 * Test the client's support for storing values in the session store.
+		 *
+		 * @return {boolean} True if the client has support for the session store, else false.
+		 * @private
+		 */
+		function testSessionStorage() {
+			polyfillSessionStorage();
+			return testStore(window.sessionStorage);
+		}
+
+		/**
+		 * Test the client's support for cookies, i.e. that a cookie may be set
+		 * and read back.
+		 *
+		 * @return {boolean} True if the client has support for cookies, else false.
+		 * @private
+		 */
+		function testCookies() {
 			try {
-				for (var key in sessionStorage) {
-					if (key.substr(0, prefixLength) === prefix) {
-						sessionStorage.removeItem(key);
-					}
+				var key = prefix + settings.testKey;
+				cookieAdapter.setItem(key, settings.testKey);
+				var isStored = cookieAdapter.getItem(key) === settings.testKey;
+				cookieAdapter.removeItem(key);
+				return isStored;
+			} catch (e) {
+				return false;
+			}
+		}
+
+		/**
+		 * Test the client's support for IndexedDB.
+		 *
+		 * NOTE: Whether the database may actually be opened is only known on first use.
+		 *
+		 * @return {boolean} True if the client has support for IndexedDB, else false.
+		 * @private
+		 */
+		function testIndexedDb() {
+			try {
+				return !!window.indexedDB;
+			} catch (e) {
+				return false;
+			}
+		}
+
+		/**
+		 * Test the client's support for storing values in the given web store.
+		 *
+		 * @param {Object} store The web store or adapter to test.
+		 * @return {boolean} True if values may be stored in the given store, else false.
+		 * @private
+		 */
+		function testStore(store) {
+			try {
+				store.setItem(prefix + settings.testKey, settings.testKey);
+				store.removeItem(prefix + settings.testKey);
+				return true;
+			} catch (e) {
+				return false;
+			}
+		}
+
+		/**
+		 * Handler for the window's `storage` event, i.e. changes made to local or
+		 * session storage by other windows. Broadcasts the change on the $rootScope.
+		 *
+		 * @param {Event} event The storage event.
+		 * @private
+		 */
+		function onStorageEvent(event) {
+			event = event.originalEvent || event;
+
+			var engine;
+			if (hasLocalStorage && event.storageArea === localStorage) {
+				engine = 'local';
+			} else if (hasSessionStorage && event.storageArea === sessionStorage) {
+				engine = 'session';
+			} else {
+				return;
+			}
+
+			var key = event.key;
+			if (key !== null) {
+				if (key.substr(0, prefix.length) !== prefix || isReservedKey(key)) {
+					return;
 				}
+				key = key.substr(prefix.length);
+			}
+
+			var change = {
+				key: key,
+				oldValue: parseQuietly(event.oldValue),
+				newValue: parseQuietly(event.newValue),
+				engine: engine
+			};
+			digest(function () {
+				$rootScope.$broadcast(storageEventName, change);
+			});
+		}
+
+		/**
+		 * Helper method, parses a raw stored string into its value without
+		 * broadcasting any errors.
+		 *
+		 * @param {string|null} raw The raw string as stored in the web store.
+		 * @return {mixed} The stored value, or null if the string is missing,
+		 *   isn't valid JSON or has expired.
+		 * @private
+		 */
+		function parseQuietly(raw) {
+			var entry = parseQuietlyAsEntry(raw);
+			return isExpired(entry) ? null : unpack(entry);
+		}
+
+		/**
+		 * Helper method, parses a raw stored string into its stored entry (i.e.
+		 * possibly an envelope, see `pack`) without broadcasting any errors.
+		 *
+		 * @param {string|null} raw The raw string as stored in the web store.
+		 * @return {mixed} The stored entry, or null if the string is missing or
+		 *   isn't valid JSON.
+		 * @private
+		 */
+		function parseQuietlyAsEntry(raw) {
+			try {
+				return raw ? serializer.parse(decode(raw)) : null;
 			} catch (e) {
-				return croak(e);
+				return null;
 			}
-			return true;
 		}
 
-		try {
-			sessionStorage.clear();
-		} catch (e) {
-			return croak(e);
+		/**
+		 * Helper method, checks if the given raw stored string holds an expired
+		 * entry. Since this is checked for every key when enumerating, strings of
+		 * the default serializer are only parsed if they may hold an envelope.
+		 *
+		 * @param {string|null} raw The raw string as stored in the web store.
+		 * @return {boolean} True if the entry has expired, else false.
+		 * @private
+		 */
+		function isExpiredRaw(raw) {
+			if (serializer === typedJson && typeof raw === 'string' && raw.indexOf(META_KEY) === -1 &&
+					raw.substr(0, COMPRESSED_MARKER.length) !== COMPRESSED_MARKER) {
+				return false;
+			}
+			return isExpired(parseQuietlyAsEntry(raw));
 		}
 
-		return true;
-	}
+		/**
+		 * Helper method, runs the given function inside a digest (unless one is
+		 * already in progress.)
+		 *
+		 * @param {Function} fn The function to run.
+		 * @private
+		 */
+		function digest(fn) {
+			if ($rootScope.$$phase) {
+				fn();
+			} else {
+				$rootScope.$apply(fn);
+			}
+		}
 
-	/**
-	 * Clear all key/value pairs form the in-memory store.
-	 *
-	 * NOTE: The in-memory storage does not use prefixes.
-	 *
-	 * @return {boolean} True on success, else false.
-	 * @private
-	 */
-	function clearMemory() {
-		ram = {};
-		return true;
-	}
+		/**
+		 * Helper method, broadcasts a change made to a storage engine in this
+		 * window on the $rootScope (see `changeEventName()`.) While a transaction
+		 * is in progress the change is broadcast once the transaction is committed.
+		 *
+		 * @param {string} type The type of operation ('set', 'remove' or 'clear'.)
+		 * @param {string} engine The name of the storage engine.
+		 * @param {string|null} key The name of the value (without the prefix), or
+		 *   null when clearing.
+		 * @param {string|null} oldData The previously stored string, if any.
+		 * @param {string|null} newData The newly stored string, if any.
+		 * @param {Array} keys (Optional) The names of the cleared values (without
+		 *   the prefix.)
+		 * @param {string} keyPrefix (Optional) The prefix of the changed keys, defaults
+		 *   to the current prefix.
+		 * @private
+		 */
+		function broadcastChange(type, engine, key, oldData, newData, keys, keyPrefix) {
+			var change = {
+				type: type,
+				engine: engine,
+				key: key,
+				oldValue: parseQuietly(oldData),
+				newValue: parseQuietly(newData),
+				prefix: typeof keyPrefix !== STR_UNDEFINED ? keyPrefix : prefix
+			};
+			if (keys) {
+				change.keys = keys;
+			}
+			if (activeTransaction !== null) {
+				activeTransaction.changes.push(change);
+				return;
+			}
+			$rootScope.$broadcast(changeEventName, change);
+		}
 
-	/**
-	 * Test the client's support for storing values in the local store.
-	 *
-	 * @return {boolean} True if the client has support for the local store, else false.
-	 * @private
-	 */
-	function testLocalStorage() {
-		polyfillLocalStorage();
-		try {
-			localStorage.setItem(prefix + defaultSettings.testKey, defaultSettings.testKey);
-			localStorage.removeItem(prefix + defaultSettings.testKey);
-			return true;
-		} catch (e) {
-			return false;
+		/**
+		 * Helper method, returns a rejection handler that broadcasts the error
+		 * notification and resolves with the given value instead. If errors are to
+		 * be thrown when the handler is created then the error is rejected instead.
+		 *
+		 * @param {mixed} value The value to resolve with on errors.
+		 * @return {Function} The rejection handler.
+		 * @private
+		 */
+		function croakWith(value, operation, engine, key) {
+			var reject = throwErrors || strict;
+			return function (error) {
+				if (reject) {
+					return $q.reject(toStorageError(error, operation, engine, key));
+				}
+				croak(error, operation, engine, key);
+				return value;
+			};
 		}
-	}
 
-	/**
-	 * Test the client's support for storing values in the session store.
-	 *
-	 * @return {boolean} True if the client has support for the session store, else false.
-	 * @private
-	 */
-	function testSessionStorage() {
-		polyfillSessionStorage();
-		try {
-			sessionStorage.setItem(prefix + defaultSettings.testKey, defaultSettings.testKey);
-			sessionStorage.removeItem(prefix + defaultSettings.testKey);
-			return true;
-		} catch (e) {
+		/**
+		 * Helper method, calls the given function with errors being thrown (or
+		 * rejected) instead of broadcast.
+		 *
+		 * @param {Function} fn The function to call.
+		 * @return {mixed} The value returned by the function.
+		 * @private
+		 */
+		function throwing(fn) {
+			var previous = throwErrors;
+			throwErrors = true;
+			try {
+				return fn();
+			} finally {
+				throwErrors = previous;
+			}
+		}
+
+		/**
+		 * Helper method, broadcasts an error notification on exceptions.
+		 *
+		 * NOTE: The error is thrown instead while errors are to be thrown, or
+		 * in strict mode.
+		 *
+		 * @param {mixed} error The exception (or storage error) that occurred.
+		 * @param {string} operation (Optional) The name of the failed operation.
+		 * @param {string} engine (Optional) The name of the storage engine.
+		 * @param {string} key (Optional) The name of the value (without the prefix.)
+		 * @return {boolean} Always returns false.
+		 * @private
+		 */
+		function croak(error, operation, engine, key) {
+			error = toStorageError(error, operation, engine, key);
+			if (throwErrors || strict) {
+				throw error;
+			}
+			notifyError(error);
 			return false;
 		}
-	}
 
-	/**
-	 * Helper method, broadcasts an error notification on exceptions.
-	 *
-	 * @return {boolean} Always returns false.
-	 * @private
-	 */
-	function croak(error) {
-		$rootScope.$broadcast(errorName, error.title + ': ' + error.message);
-		return false;
-	}
+		/**
+		 * Helper method, broadcasts the given storage error on the $rootScope.
+		 *
+		 * @param {Error} error The storage error.
+		 * @private
+		 */
+		function notifyError(error) {
+			$rootScope.$broadcast(errorName, error);
+		}
 
-	/**
-	 * Polyfilling the localStorage API by setting cookies on the document.
-	 * @private
-	 */
-	function polyfillLocalStorage() {
-		try {
-			/* jshint -W001 */// 'hasOwnProperty' is a really bad name.
-			/* jshint -W014 */// Bad line break before +.
-		
-			// Support for localStorage, compatible with old browsers, like Internet
-			// Explorer < 8 (tested and working even in Internet Explorer 6).
-			// Source From: https://developer.mozilla.org/en-US/docs/DOM/Storage
-			if (!window.localStorage) {
-				window.localStorage = {
-					getItem : function(sKey) {
-						if (!sKey || !this.hasOwnProperty(sKey)) {
+		/**
+		 * Helper method, returns a storage error, i.e. an Error whose `name` is
+		 * 'WebStorageError' and that holds the given `code` and `cause`.
+		 *
+		 * @param {string} code The error code (see `errorCode`.)
+		 * @param {string} message The error message.
+		 * @param {mixed} cause (Optional) The original exception.
+		 * @return {Error} The storage error.
+		 * @private
+		 */
+		function storageError(code, message, cause) {
+			var error = new Error(message);
+			error.name = 'WebStorageError';
+			error.code = code;
+			error.operation = null;
+			error.engine = null;
+			error.key = null;
+			error.cause = typeof cause !== STR_UNDEFINED ? cause : null;
+			return error;
+		}
+
+		/**
+		 * Helper method, turns the given exception into a storage error (unless it
+		 * already is one) and fills in the details of the failed operation.
+		 *
+		 * @param {mixed} error The exception (or storage error.)
+		 * @param {string} operation (Optional) The name of the failed operation.
+		 * @param {string} engine (Optional) The name of the storage engine.
+		 * @param {string} key (Optional) The name of the value (without the prefix.)
+		 * @return {Error} The storage error.
+		 * @private
+		 */
+		function toStorageError(error, operation, engine, key) {
+			if (!isStorageError(error)) {
+				var message = error && error.message ? error.message : String(error);
+				error = storageError(errorCode(error), message, error);
+			}
+			error.operation = error.operation || operation || null;
+			error.engine = error.engine || engine || null;
+			if (error.key === null && typeof key !== STR_UNDEFINED) {
+				error.key = key;
+			}
+			return error;
+		}
+
+		/**
+		 * Helper method, checks if the given value is a storage error.
+		 *
+		 * @param {mixed} error The value to check.
+		 * @return {boolean} True if the value is a storage error, else false.
+		 * @private
+		 */
+		function isStorageError(error) {
+			return error instanceof Error && error.name === 'WebStorageError';
+		}
+
+		/**
+		 * Helper method, returns the code of the given exception: 'QUOTA_EXCEEDED'
+		 * when the quota was exceeded, 'SECURITY' when access to the storage was
+		 * denied, 'PARSE_ERROR' when a stored value couldn't be parsed and
+		 * 'UNKNOWN' otherwise.
+		 *
+		 * @param {mixed} error The exception.
+		 * @return {string} The error code.
+		 * @private
+		 */
+		function errorCode(error) {
+			if (isQuotaError(error)) {
+				return 'QUOTA_EXCEEDED';
+			}
+			if (angular.isObject(error) && (error.name === 'SecurityError' || error.code === 18)) {
+				return 'SECURITY';
+			}
+			if (error instanceof SyntaxError || (angular.isObject(error) && error.name === 'SyntaxError')) {
+				return 'PARSE_ERROR';
+			}
+			return 'UNKNOWN';
+		}
+
+		/**
+		 * Helper method, returns the error of a storage engine that isn't available.
+		 *
+		 * @param {string} engine The name of the storage engine.
+		 * @param {mixed} cause (Optional) The original exception.
+		 * @return {Error} The storage error.
+		 * @private
+		 */
+		function unavailableError(engine, cause) {
+			return storageError('UNAVAILABLE', 'The "' + engine + '" storage engine is not available', cause);
+		}
+
+		/**
+		 * Polyfilling the localStorage API by setting (persistent) cookies on the document.
+		 * @private
+		 */
+		function polyfillLocalStorage() {
+			try {
+				if (!window.localStorage) {
+					window.localStorage = createCookieStore(COOKIE_NAMESPACES.local, false);
+					isLocalStoragePolyfilled = true;
+				}
+			} catch (e) {
+				// Protected Mode on IE? There's really nothing to do at this stage.
+			}
+		}
+
+		/**
+		 * Polyfilling the sessionStorage API by setting session cookies on the document.
+		 * @private
+		 */
+		function polyfillSessionStorage() {
+			try {
+				if (!window.sessionStorage) {
+					window.sessionStorage = createCookieStore(COOKIE_NAMESPACES.session, true);
+					isSessionStoragePolyfilled = true;
+				}
+			} catch (e) {
+				// Protected Mode on IE? There's really nothing to do at this stage.
+			}
+		}
+
+		/**
+		 * Returns a Storage-like object keeping its key/value pairs in cookies whose
+		 * names start with the given namespace, so that it neither sees nor alters
+		 * other cookies.
+		 *
+		 * Values that don't fit in one cookie (see `COOKIE_MAX_SIZE`) are split
+		 * across numbered chunk cookies, named after the key followed by '#' and the
+		 * number of the chunk, while the cookie of the key itself records the number
+		 * of chunks. Writes that would exceed the cookie budget (see `cookieOptions()`)
+		 * fail with a `QuotaExceededError`, while cookies refused by the browser (e.g.
+		 * a Secure cookie on http, or a foreign domain) fail with a 'COOKIE_REFUSED'
+		 * storage error, so that no values are evicted in vain.
+		 *
+		 * NOTE: `setItem` and `removeItem` may be handed cookie options overriding the
+		 * defaults (see `cookieOptions()`), while `length` is a method.
+		 *
+		 * @param {string} namespace The prefix of the names of the cookies.
+		 * @param {boolean} isSession If true then session cookies are set, else
+		 *   persistent ones.
+		 * @return {Object} The Storage-like object.
+		 * @private
+		 */
+		function createCookieStore(namespace, isSession) {
+			var encodedNamespace = encodeURIComponent(namespace);
+			var chunksOf = function (cookies, name) {
+				var chunks = [];
+				angular.forEach(cookies, function (value, chunkName) {
+					if (chunkName.substr(0, name.length + 1) === name + '#') {
+						chunks.push(chunkName);
+					}
+				});
+				return chunks;
+			};
+			var expire = function (name, options) {
+				writeCookie(encodedNamespace + name, '', cookieAttributes(options, true) + '; expires=Thu, 01 Jan 1970 00:00:00 GMT');
+			};
+			var store = {
+				getItem: function (key) {
+					var cookies = readCookies(encodedNamespace);
+					var name = encodeURIComponent(key);
+					if (!cookies.hasOwnProperty(name)) {
+						return null;
+					}
+					var count = chunkCount(cookies[name]);
+					if (count === null) {
+						return decodeURIComponent(cookies[name]);
+					}
+					var value = '';
+					for (var ith = 1; ith <= count; ++ith) {
+						if (!cookies.hasOwnProperty(name + '#' + ith)) {
 							return null;
 						}
-						return unescape(document.cookie.replace(new RegExp("(?:^|.*;\\s*)"
-								+ escape(sKey).replace(/[\-\.\+\*]/g, "\\$&")
-								+ "\\s*\\=\\s*((?:[^;](?!;))*[^;]?).*"), "$1"));
-					},
-					key : function(nKeyId) {
-						return unescape(document.cookie.replace(/\s*\=(?:.(?!;))*$/, "")
-								.split(/\s*\=(?:[^;](?!;))*[^;]?;\s*/)[nKeyId]);
-					},
-					setItem : function(sKey, sValue) {
-						if (!sKey) {
-							return;
-						}
-						document.cookie = escape(sKey) + "=" + escape(sValue)
-								+ "; expires=Tue, 19 Jan 2038 03:14:07 GMT; path=/";
-						this.length = document.cookie.match(/\=/g).length;
-					},
-					length : 0,
-					removeItem : function(sKey) {
-						if (!sKey || !this.hasOwnProperty(sKey)) {
-							return;
+						value += cookies[name + '#' + ith];
+					}
+					return decodeURIComponent(value);
+				},
+				setItem: function (key, value, options) {
+					var name = encodeURIComponent(key);
+					var attributes = cookieAttributes(options, isSession);
+					var chunks = splitIntoChunks(encodedNamespace + name, encodeURIComponent(String(value)));
+					var cookies = readCookies(encodedNamespace);
+					var previous = chunksOf(cookies, name);
+					var budget = angular.extend({}, cookieOptions, options).maxCookies;
+					var count = countCookies() - previous.length - (cookies.hasOwnProperty(name) ? 1 : 0) +
+						chunks.length + (chunks.length > 1 ? 1 : 0);
+					if (angular.isNumber(budget) && count > budget) {
+						throw quotaError('The cookie budget of ' + budget + ' cookies is used up by "' + key + '"');
+					}
+					angular.forEach(previous, function (chunkName) {
+						expire(chunkName, options);
+					});
+					if (chunks.length === 1) {
+						writeCookie(encodedNamespace + name, chunks[0], attributes);
+					} else {
+						for (var ith = 0; ith < chunks.length; ++ith) {
+							writeCookie(encodedNamespace + name + '#' + (ith + 1), chunks[ith], attributes);
 						}
-						document.cookie = escape(sKey)
-								+ "=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/";
-						this.length--;
-					},
-					hasOwnProperty : function(sKey) {
-						return (new RegExp("(?:^|;\\s*)"
-								+ escape(sKey).replace(/[\-\.\+\*]/g, "\\$&") + "\\s*\\="))
-								.test(document.cookie);
+						writeCookie(encodedNamespace + name, COOKIE_CHUNKS_MARKER + chunks.length, attributes);
 					}
-				};
-				window.localStorage.length = (document.cookie.match(/\=/g) || window.localStorage).length;
-				isLocalStoragePolyfilled = true;
+					if (store.getItem(key) !== String(value)) {
+						store.removeItem(key, options);
+						throw storageError('COOKIE_REFUSED', 'The cookie holding "' + key + '" was refused by the browser');
+					}
+				},
+				removeItem: function (key, options) {
+					var name = encodeURIComponent(key);
+					var cookies = readCookies(encodedNamespace);
+					angular.forEach(chunksOf(cookies, name), function (chunkName) {
+						expire(chunkName, options);
+					});
+					expire(name, options);
+				},
+				key: function (index) {
+					return nthKey(cookieKeys(namespace), index);
+				},
+				length: function () {
+					return cookieKeys(namespace).length;
+				},
+				clear: function () {
+					angular.forEach(readCookies(encodedNamespace), function (value, name) {
+						expire(name);
+					});
+				}
+			};
+			return store;
+		}
+
+		/**
+		 * Helper method, returns the number of chunks recorded in the cookie of a key
+		 * whose value is split across chunk cookies (see `createCookieStore`.)
+		 *
+		 * @param {string} raw The raw value of the cookie.
+		 * @return {number|null} The number of chunks, or null if the value isn't split.
+		 * @private
+		 */
+		function chunkCount(raw) {
+			var match = new RegExp('^' + COOKIE_CHUNKS_MARKER + '(\\d+)$').exec(raw);
+			return match ? parseInt(match[1], 10) : null;
+		}
+
+		/**
+		 * Helper method, splits an encoded cookie value into chunks that each fit in a
+		 * cookie, without splitting any escape sequences. Values that could be mistaken
+		 * for the record of a split value are always split.
+		 *
+		 * @param {string} name The encoded name of the cookie.
+		 * @param {string} raw The encoded value.
+		 * @return {Array} The chunks, a single one if the value fits in one cookie.
+		 * @private
+		 */
+		function splitIntoChunks(name, raw) {
+			if (name.length + 1 + raw.length <= COOKIE_MAX_SIZE && raw.substr(0, COOKIE_CHUNKS_MARKER.length) !== COOKIE_CHUNKS_MARKER) {
+				return [raw];
 			}
-		} catch (e) {
-			// Protected Mode on IE? There's really nothing to do at this stage.
+			// Leave room for the '#' and number suffix of the chunk's name.
+			var size = COOKIE_MAX_SIZE - name.length - 8;
+			var chunks = [];
+			var start = 0;
+			while (start < raw.length) {
+				var end = Math.min(start + size, raw.length);
+				if (raw.charAt(end - 1) === '%') {
+					end -= 1;
+				} else if (raw.charAt(end - 2) === '%') {
+					end -= 2;
+				}
+				chunks.push(raw.substring(start, end));
+				start = end;
+			}
+			if (chunks.length === 1) {
+				chunks.push('');
+			}
+			return chunks;
 		}
-	}
-	
-	/**
-	 * Polyfilling the sessionStorage API by setting cookies on the document.
-	 * @private
-	 */
-	function polyfillSessionStorage() {
-		try {
-			/* jshint -W001 */// 'hasOwnProperty' is a really bad name.
-			/* jshint -W014 */// Bad line break before +.
-		
-			// Support for sessionStorage, compatible with old browsers, like Internet
-			// Explorer < 8 (tested and working even in Internet Explorer 6).
-			// Source From: https://developer.mozilla.org/en-US/docs/DOM/Storage
-			if (!window.sessionStorage) {
-				window.sessionStorage = {
-					getItem : function(sKey) {
-						if (!sKey || !this.hasOwnProperty(sKey)) {
-							return null;
-						}
-						return unescape(document.cookie.replace(new RegExp("(?:^|.*;\\s*)"
-								+ escape(sKey).replace(/[\-\.\+\*]/g, "\\$&")
-								+ "\\s*\\=\\s*((?:[^;](?!;))*[^;]?).*"), "$1"));
-					},
-					key : function(nKeyId) {
-						return unescape(document.cookie.replace(/\s*\=(?:.(?!;))*$/, "")
-								.split(/\s*\=(?:[^;](?!;))*[^;]?;\s*/)[nKeyId]);
-					},
-					setItem : function(sKey, sValue) {
-						if (!sKey) {
-							return;
-						}
-						document.cookie = escape(sKey) + "=" + escape(sValue) + "; path=/";
-						this.length = document.cookie.match(/\=/g).length;
-					},
-					length : 0,
-					removeItem : function(sKey) {
-						if (!sKey || !this.hasOwnProperty(sKey)) {
-							return;
-						}
-						document.cookie = escape(sKey)
-								+ "=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/";
-						this.length--;
-					},
-					hasOwnProperty : function(sKey) {
-						return (new RegExp("(?:^|;\\s*)"
-								+ escape(sKey).replace(/[\-\.\+\*]/g, "\\$&") + "\\s*\\="))
-								.test(document.cookie);
+
+		/**
+		 * Helper method, returns the number of cookies set on the document.
+		 *
+		 * @return {number} The number of cookies.
+		 * @private
+		 */
+		function countCookies() {
+			return document.cookie ? document.cookie.split(/;\s*/).length : 0;
+		}
+
+		/**
+		 * Helper method, returns an error that is recognized as exceeding the quota.
+		 *
+		 * @param {string} message The error message.
+		 * @return {Error} The error.
+		 * @private
+		 */
+		function quotaError(message) {
+			var error = new Error(message);
+			error.name = 'QuotaExceededError';
+			return error;
+		}
+
+		/**
+		 * Returns the Storage-like adapter of the cookie storage engine, which keeps
+		 * persistent and session cookies in separate namespaces. Setting a value
+		 * removes the value of the same key in the other namespace.
+		 *
+		 * @return {Object} The Storage-like adapter.
+		 * @private
+		 */
+		function createCookieAdapter() {
+			var persistent = createCookieStore(COOKIE_NAMESPACES.cookie, false);
+			var session = createCookieStore(COOKIE_NAMESPACES.cookieSession, true);
+			var keys = function () {
+				var names = cookieKeys(COOKIE_NAMESPACES.cookie);
+				var isPersistent = {};
+				angular.forEach(names, function (name) {
+					isPersistent[name] = true;
+				});
+				angular.forEach(cookieKeys(COOKIE_NAMESPACES.cookieSession), function (name) {
+					if (!isPersistent.hasOwnProperty(name)) {
+						names.push(name);
 					}
-				};
-				window.sessionStorage.length = (document.cookie.match(/\=/g) || window.sessionStorage).length;
-				isSessionStoragePolyfilled = true;
+				});
+				return names;
+			};
+			return {
+				getItem: function (key) {
+					var value = persistent.getItem(key);
+					return value !== null ? value : session.getItem(key);
+				},
+				setItem: function (key, value, options) {
+					var isSession = angular.isObject(options) && typeof options.session !== STR_UNDEFINED ?
+						!!options.session : !!cookieOptions.session;
+					(isSession ? session : persistent).setItem(key, value, options);
+					(isSession ? persistent : session).removeItem(key, options);
+				},
+				removeItem: function (key, options) {
+					persistent.removeItem(key, options);
+					session.removeItem(key, options);
+				},
+				key: function (index) {
+					return nthKey(keys(), index);
+				},
+				length: function () {
+					return keys().length;
+				},
+				clear: function () {
+					persistent.clear();
+					session.clear();
+				}
+			};
+		}
+
+		/**
+		 * Helper method, returns the keys stored by a cookie store (see
+		 * `createCookieStore`), reading the cookies of the document only once.
+		 *
+		 * @param {string} namespace The prefix of the names of the cookies.
+		 * @return {Array} The (decoded) keys, without the namespace.
+		 * @private
+		 */
+		function cookieKeys(namespace) {
+			var names = [];
+			angular.forEach(readCookies(encodeURIComponent(namespace)), function (value, name) {
+				if (name.indexOf('#') === -1) {
+					names.push(decodeURIComponent(name));
+				}
+			});
+			return names;
+		}
+
+		/**
+		 * Helper method, returns the cookies of the document whose names start with
+		 * the given namespace.
+		 *
+		 * @param {string} namespace The (encoded) prefix of the names of the cookies.
+		 * @return {Object} The (encoded) values of the cookies by (encoded) name,
+		 *   without the namespace.
+		 * @private
+		 */
+		function readCookies(namespace) {
+			var cookies = {};
+			var pairs = document.cookie ? document.cookie.split(/;\s*/) : [];
+			for (var ith = 0; ith < pairs.length; ++ith) {
+				var index = pairs[ith].indexOf('=');
+				var name = index === -1 ? pairs[ith] : pairs[ith].substr(0, index);
+				if (name.substr(0, namespace.length) === namespace) {
+					cookies[name.substr(namespace.length)] = index === -1 ? '' : pairs[ith].substr(index + 1);
+				}
 			}
-		
-		} catch (e) {
-			// Protected Mode on IE? There's really nothing to do at this stage.
+			return cookies;
 		}
-	}
-	
+
+		/**
+		 * Helper method, sets a cookie on the document.
+		 *
+		 * @param {string} name The (encoded) name of the cookie.
+		 * @param {string} value The (encoded) value of the cookie.
+		 * @param {string} attributes The attributes of the cookie (see `cookieAttributes`.)
+		 * @private
+		 */
+		function writeCookie(name, value, attributes) {
+			document.cookie = name + '=' + value + attributes;
+		}
+
+		/**
+		 * Helper method, returns the attributes of a cookie, as given by the default
+		 * cookie options overridden by the given ones.
+		 *
+		 * @param {Object} options (Optional) May hold the `path`, `domain`, `secure`
+		 *   and `sameSite` options as well as an expiry as `ttl` or `expires`.
+		 * @param {boolean} isSession If true then no expiry date is set.
+		 * @return {string} The attributes, e.g. '; path=/; SameSite=Lax'.
+		 * @private
+		 */
+		function cookieAttributes(options, isSession) {
+			var merged = angular.extend({}, cookieOptions, options);
+			var attributes = '; path=' + (merged.path || '/');
+			if (merged.domain) {
+				attributes += '; domain=' + merged.domain;
+			}
+			if (!isSession) {
+				var expires = expiryOf(options);
+				attributes += '; expires=' + (expires !== null ? new Date(expires).toUTCString() : COOKIE_EXPIRES_NEVER);
+			}
+			if (merged.sameSite) {
+				attributes += '; SameSite=' + merged.sameSite;
+			}
+			if (merged.secure) {
+				attributes += '; Secure';
+			}
+			return attributes;
+		}
+
+		/**
+		 * Returns the polyfill status of local storage: `true` if local storage has been
+		 * polyfilled, else `false`.
+		 * 
+		 * @param {boolean} removePolyfill If `removePolyfill` is `true` and local storage
+		 *    is currently polyfilled then `window.localStorage` will be set to `null`. 
+		 * @return {boolean} `true` if local storage is polyfilled by setting cookies on
+		 *   the document, else `false`.
+		 */
+		function isLocalPolyfilled(removePolyfill) {
+			var oldValue = isLocalStoragePolyfilled;
+			if (removePolyfill === true && isLocalStoragePolyfilled) {
+				window.localStorage = null;
+				isLocalStoragePolyfilled = false;
+			}
+			return oldValue;
+		}
+
+		/**
+		 * Returns the polyfill status of session storage: `true` if session storage has been
+		 * polyfilled, else `false`.
+		 * 
+		 * @param {boolean} removePolyfill If `removePolyfill` is `true` and session storage
+		 *    is currently polyfilled then `window.sessionStorage` will be set to `null`. 
+		 * @return {boolean} `true` if session storage is polyfilled by setting cookies on
+		 *   the document, else `false`.
+		 */
+		function isSessionPolyfilled(removePolyfill) {
+			var oldValue = isSessionStoragePolyfilled;
+			if (removePolyfill === true && isSessionStoragePolyfilled) {
+				window.sessionStorage = null;
+				isLocalStoragePolyfilled = false;
+			}
+			return oldValue;
+		}
+
+		// Add the built-in storage engines to the namespaced APIs.
+		angular.forEach(engineNames, addNamespaceEngine);
+
+		// Migrate the data in local, session and cookie storage to the configured schema version.
+		if (hasLocalStorage) {
+			migrateStore(window.localStorage);
+		}
+		if (hasSessionStorage) {
+			migrateStore(window.sessionStorage);
+		}
+		if (hasCookies) {
+			migrateStore(cookieAdapter);
+		}
+
+		// Register the storage engines added in the config phase, then apply the configured order.
+		angular.forEach(adapters, function (adapter, name) {
+			webStorage.registerEngine(name, adapter);
+		});
+		order = sanitizeOrder(settings.order);
+
+		// Listen for changes made to local or session storage by other windows.
+		angular.element(window).on('storage', onStorageEvent);
+		$rootScope.$on('$destroy', function () {
+			angular.element(window).off('storage', onStorageEvent);
+		});
+
+		return webStorage;
+	}];
+}]);
+
+/**
+ * The `webstorage-model` directive, persisting the value of an `ng-model` input
+ * via the webStorage service. See the module's documentation for its attributes.
+ */
+webStorageModule.directive('webstorageModel', ['webStorage', '$parse', '$timeout', function (webStorage, $parse, $timeout) {
+	'use strict';
+
 	/**
-	 * Returns the polyfill status of local storage: `true` if local storage has been
-	 * polyfilled, else `false`.
-	 * 
-	 * @param {boolean} removePolyfill If `removePolyfill` is `true` and local storage
-	 *    is currently polyfilled then `window.localStorage` will be set to `null`. 
-	 * @return {boolean} `true` if local storage is polyfilled by setting cookies on
-	 *   the document, else `false`.
+	 * The number of milliseconds to wait for further changes before saving, unless
+	 * given via the `webstorage-debounce` attribute.
+	 * @private
 	 */
-	function isLocalPolyfilled(removePolyfill) {
-		var oldValue = isLocalStoragePolyfilled;
-		if (removePolyfill === true && isLocalStoragePolyfilled) {
-			window.localStorage = null;
-			isLocalStoragePolyfilled = false;
+	var DEFAULT_DEBOUNCE = 250;
+
+	return {
+		restrict: 'A',
+		require: 'ngModel',
+		link: function (scope, element, attrs, ngModel) {
+			if (String(attrs.type).toLowerCase() === 'password' && !isEnabled(attrs.webstoragePassword)) {
+				return;
+			}
+			var store = attrs.webstorageEngine ? webStorage[attrs.webstorageEngine] : webStorage;
+			if (!store || !angular.isFunction(store.set) || store.isAsync) {
+				return;
+			}
+			var key = attrs.webstorageModel || attrs.ngModel;
+			var debounce = parseInt(attrs.webstorageDebounce, 10);
+			if (isNaN(debounce) || debounce < 0) {
+				debounce = DEFAULT_DEBOUNCE;
+			}
+
+			// Restore the stored value.
+			var stored = store.get(key);
+			if (stored !== null) {
+				$parse(attrs.ngModel).assign(scope, stored);
+			}
+
+			var pending = null;
+			var save = function () {
+				pending = null;
+				var value = ngModel.$modelValue;
+				if (typeof value === 'undefined' || value === null || value === '') {
+					store.remove(key);
+				} else {
+					store.set(key, value);
+				}
+			};
+			var cancel = function () {
+				if (pending !== null) {
+					$timeout.cancel(pending);
+					pending = null;
+				}
+			};
+
+			// Save the value once the user has stopped changing it.
+			ngModel.$viewChangeListeners.push(function () {
+				cancel();
+				pending = $timeout(save, debounce, false);
+			});
+
+			// Remove the stored value when the form is submitted.
+			var form = element[0].form ? angular.element(element[0].form) : null;
+			var clear = function () {
+				cancel();
+				store.remove(key);
+			};
+			if (form && isEnabled(attrs.webstorageClearOnSubmit)) {
+				form.on('submit', clear);
+			}
+
+			// Save any pending change before the input goes away.
+			scope.$on('$destroy', function () {
+				if (pending !== null) {
+					cancel();
+					save();
+				}
+				if (form) {
+					form.off('submit', clear);
+				}
+			});
 		}
-		return oldValue;
-	}
-	
+	};
+
 	/**
-	 * Returns the polyfill status of session storage: `true` if session storage has been
-	 * polyfilled, else `false`.
-	 * 
-	 * @param {boolean} removePolyfill If `removePolyfill` is `true` and session storage
-	 *    is currently polyfilled then `window.sessionStorage` will be set to `null`. 
-	 * @return {boolean} `true` if session storage is polyfilled by setting cookies on
-	 *   the document, else `false`.
+	 * Helper method, checks if a boolean attribute is set, i.e. present and not 'false'.
+	 *
+	 * @param {string} value The value of the attribute.
+	 * @return {boolean} True if the attribute is set, else false.
+	 * @private
 	 */
-	function isSessionPolyfilled(removePolyfill) {
-		var oldValue = isSessionStoragePolyfilled;
-		if (removePolyfill === true && isSessionStoragePolyfilled) {
-			window.sessionStorage = null;
-			isLocalStoragePolyfilled = false;
-		}
-		return oldValue;
+	function isEnabled(value) {
+		return typeof value !== 'undefined' && value !== 'false';
 	}
-
-	return webStorage;
 }]);
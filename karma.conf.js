@@ -18,6 +18,7 @@ module.exports = function(config) {
       'node_modules/angular/angular.min.js',
       'node_modules/angular-mocks/angular-mocks.js',
       'angular-webstorage.js',
+      'angular-webstorage-utils.js',
       'tests/**/*.js'
     ],
 
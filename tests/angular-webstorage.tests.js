@@ -2,11 +2,13 @@
 
 describe('Web Storage Module', function () {
 	var webStorage;
+	var $rootScope;
 	
 	beforeEach(module('webStorageModule'));
 	
-	beforeEach(inject(function (_webStorage_) {
+	beforeEach(inject(function (_webStorage_, _$rootScope_) {
 		webStorage = _webStorage_;
+		$rootScope = _$rootScope_;
 		webStorage.clear(true);
 	}));
 	
@@ -117,4 +119,1020 @@ describe('Web Storage Module', function () {
 		expect(webStorage.memory.has(key + '-2')).toEqual(false);
 		expect(webStorage.memory.length()).toEqual(0);
 	});
-});
\ No newline at end of file
+	
+	it('Expiring values', function () {
+		var key = '_webStorage.expiring.value';
+		var value = { d: 7 };
+		var engines = ['local', 'session', 'memory'];
+		
+		for (var ith = 0; ith < engines.length; ++ith) {
+			var engine = webStorage[engines[ith]];
+			expect(engine.set(key + '-1', value, { ttl: 60000 })).toEqual(true);
+			expect(engine.set(key + '-2', value, { ttl: -1 })).toEqual(true);
+			expect(engine.set(key + '-3', value, { expires: new Date(0) })).toEqual(true);
+			expect(engine.get(key + '-1')).toEqual(value);
+			expect(engine.has(key + '-2')).toEqual(false);
+			expect(engine.set(key + '-4', value, { expires: 0 })).toEqual(true);
+			expect(engine.length()).toEqual(1);
+			expect(engine.keys()).toEqual([key + '-1']);
+			expect(engine.set(key + '-5', value, { ttl: -1 })).toEqual(true);
+			expect(engine.purgeExpired()).toEqual(3);
+			expect(engine.get(key + '-3')).toEqual(null);
+		}
+		
+		expect(webStorage.set(key, value, { ttl: -1, allEngines: true })).toEqual(true);
+		expect(webStorage.purgeExpired()).toEqual(3);
+		expect(webStorage.get(key)).toEqual(null);
+		expect(webStorage.set(key, value, { ttl: 60000 })).toEqual(true);
+		expect(webStorage.get(key)).toEqual(value);
+		expect(webStorage.has(key)).toEqual(true);
+	});
+	
+	it('Storage events from other windows', function () {
+		var changes = [];
+		$rootScope.$on(webStorage.storageEventName(), function (event, change) {
+			changes.push(change);
+		});
+		webStorage.prefix('_other.');
+		
+		window.dispatchEvent(new StorageEvent('storage', {
+			key: '_other.key', oldValue: '1', newValue: '{"e":8}', storageArea: localStorage
+		}));
+		window.dispatchEvent(new StorageEvent('storage', {
+			key: 'unrelated.key', oldValue: null, newValue: '2', storageArea: localStorage
+		}));
+		window.dispatchEvent(new StorageEvent('storage', {
+			key: '_other.webStorage.test.key', oldValue: null, newValue: 'webStorage.test.key', storageArea: localStorage
+		}));
+		window.dispatchEvent(new StorageEvent('storage', {
+			key: null, oldValue: null, newValue: null, storageArea: sessionStorage
+		}));
+		
+		expect(changes).toEqual([
+			{ key: 'key', oldValue: 1, newValue: { e: 8 }, engine: 'local' },
+			{ key: null, oldValue: null, newValue: null, engine: 'session' }
+		]);
+		webStorage.prefix('');
+	});
+	
+	it('Binding scope properties', function () {
+		var key = '_webStorage.bound.value';
+		var scope = $rootScope.$new();
+		
+		expect(webStorage.bind(scope, 'prefs.theme', key, { engine: 'bogus' })).toEqual(false);
+		
+		var unbind = webStorage.bind(scope, 'prefs.theme', key, { engine: 'session', defaultValue: { dark: false } });
+		expect(scope.prefs.theme).toEqual({ dark: false });
+		scope.prefs.theme.dark = true;
+		scope.$digest();
+		expect(webStorage.session.get(key)).toEqual({ dark: true });
+		
+		unbind();
+		scope.prefs.theme.dark = false;
+		scope.$digest();
+		expect(webStorage.session.get(key)).toEqual({ dark: true });
+		
+		webStorage.bind(scope, 'copy', key, { engine: 'session' });
+		expect(scope.copy).toEqual({ dark: true });
+		scope.$destroy();
+		scope.copy = 1;
+		scope.$digest();
+		expect(webStorage.session.get(key)).toEqual({ dark: true });
+		
+		scope = $rootScope.$new();
+		webStorage.bind(scope, 'copy', key, { engine: 'session' });
+		sessionStorage.removeItem(key);
+		window.dispatchEvent(new StorageEvent('storage', {
+			key: key, oldValue: '{"dark":true}', newValue: null, storageArea: sessionStorage
+		}));
+		expect(scope.copy).toBeUndefined();
+		expect(webStorage.session.has(key)).toEqual(false);
+		scope.$destroy();
+	});
+	
+	it('Namespaced storage interface', function () {
+		var checkout = webStorage.namespace('checkout', { order: ['session', 'memory'] });
+		var search = webStorage.namespace('search');
+		
+		expect(checkout.prefix()).toEqual('checkout.');
+		expect(checkout.order()).toEqual(['session', 'memory']);
+		expect(webStorage.order()).toEqual(['local', 'session', 'memory']);
+		expect(checkout.set('cart', [1, 2])).toEqual(true);
+		expect(sessionStorage.getItem('checkout.cart')).toEqual('[1,2]');
+		expect(search.set('cart', 'q')).toEqual(true);
+		expect(localStorage.getItem('search.cart')).toEqual('"q"');
+		expect(webStorage.set('cart', 3)).toEqual(true);
+		expect(checkout.memory.set('cart', 4)).toEqual(true);
+		expect(webStorage.memory.has('cart')).toEqual(false);
+		
+		expect(checkout.clear()).toEqual(true);
+		expect(checkout.has('cart')).toEqual(false);
+		expect(checkout.memory.has('cart')).toEqual(false);
+		expect(search.get('cart')).toEqual('q');
+		expect(webStorage.get('cart')).toEqual(3);
+		expect(webStorage.prefix()).toEqual('');
+		expect(webStorage.namespace('')).toEqual(false);
+		
+		var isSupported = webStorage.idb.isSupported;
+		webStorage.idb.isSupported = !isSupported;
+		expect(checkout.idb.isSupported).toEqual(!isSupported);
+		webStorage.idb.isSupported = isSupported;
+	});
+	
+	it('Registered storage engines', function () {
+		var items = {};
+		var keys = [];
+		var adapter = {
+			getItem: function (key) { return items.hasOwnProperty(key) ? items[key] : null; },
+			setItem: function (key, value) {
+				if (!items.hasOwnProperty(key)) keys.push(key);
+				items[key] = String(value);
+			},
+			removeItem: function (key) {
+				if (items.hasOwnProperty(key)) keys.splice(keys.indexOf(key), 1);
+				delete items[key];
+			},
+			key: function (index) { return index < keys.length ? keys[index] : null; },
+			length: function () { return keys.length; }
+		};
+		
+		var ns = webStorage.namespace('ns');
+		expect(webStorage.registerEngine('set', adapter)).toEqual(false);
+		expect(webStorage.registerEngine('custom', {})).toEqual(false);
+		expect(webStorage.registerEngine('custom', adapter)).toBe(webStorage.custom);
+		expect(webStorage.custom.isSupported).toEqual(true);
+		expect(webStorage.engines()).toEqual(['local', 'session', 'memory', 'cookie', 'idb', 'custom']);
+		expect(webStorage.order(['custom', 'memory'])).toEqual(['local', 'session', 'memory']);
+		expect(ns.custom.isSupported).toEqual(true);
+		expect(ns.custom.set('key', 1)).toEqual(true);
+		expect(items['ns.key']).toEqual('1');
+		expect(ns.custom.clear()).toEqual(true);
+		
+		webStorage.prefix('_custom.');
+		expect(webStorage.set('key', { f: 9 })).toEqual(true);
+		expect(items['_custom.key']).toEqual('{"f":9}');
+		expect(webStorage.custom.get('key')).toEqual({ f: 9 });
+		expect(webStorage.custom.set('old', 1, { ttl: -1 })).toEqual(true);
+		expect(webStorage.custom.length()).toEqual(1);
+		expect(webStorage.local.has('key')).toEqual(false);
+		expect(webStorage.clear()).toEqual(true);
+		expect(keys).toEqual([]);
+		webStorage.prefix('');
+	});
+	
+	it('Evicting values when the quota is exceeded', function () {
+		var items = {};
+		var keys = [];
+		var adapter = {
+			getItem: function (key) { return items.hasOwnProperty(key) ? items[key] : null; },
+			setItem: function (key, value) {
+				if ((!items.hasOwnProperty(key) && keys.length >= 3) || String(value).length > 100) {
+					var error = new Error('Quota exceeded');
+					error.name = 'QuotaExceededError';
+					throw error;
+				}
+				if (!items.hasOwnProperty(key)) keys.push(key);
+				items[key] = String(value);
+			},
+			removeItem: function (key) {
+				if (items.hasOwnProperty(key)) keys.splice(keys.indexOf(key), 1);
+				delete items[key];
+			},
+			key: function (index) { return index < keys.length ? keys[index] : null; },
+			length: function () { return keys.length; }
+		};
+		var evictions = [];
+		var errors = [];
+		$rootScope.$on(webStorage.evictionEventName(), function (event, eviction) { evictions.push(eviction); });
+		$rootScope.$on(webStorage.errorName(), function (event, error) { errors.push(error); });
+		
+		var tiny = webStorage.registerEngine('tiny', adapter);
+		expect(webStorage.evictionPolicy('unknown')).toEqual(false);
+		expect(webStorage.evictionPolicy('lru')).toEqual('none');
+		expect(tiny.set('a', 1)).toEqual(true);
+		expect(tiny.set('b', 2)).toEqual(true);
+		expect(tiny.set('c', 3, { pinned: true })).toEqual(true);
+		expect(tiny.get('a')).toEqual(1);
+		expect(tiny.set('d', 4)).toEqual(true);
+		expect(evictions).toEqual([{ engine: 'tiny', key: 'd', keys: ['b'] }]);
+		expect(tiny.has('a') && tiny.has('c') && tiny.has('d')).toEqual(true);
+		
+		expect(webStorage.evictionPolicy('lfu')).toEqual('lru');
+		tiny.get('d');
+		expect(tiny.set('e', 5, { priority: 1 })).toEqual(true);
+		expect(evictions[1].keys).toEqual(['a']);
+		
+		expect(tiny.set('huge', new Array(200).join('x'))).toEqual(false);
+		expect(errors.length).toEqual(1);
+		expect(evictions.length).toEqual(2);
+		expect(tiny.keys().sort()).toEqual(['c', 'd', 'e']);
+		expect(tiny.get('e')).toEqual(5);
+		
+		expect(webStorage.evictionPolicy('expired')).toEqual('lfu');
+		expect(tiny.set('f', 6)).toEqual(false);
+		expect(errors.length).toEqual(2);
+		expect(evictions.length).toEqual(2);
+		webStorage.evictionPolicy('none');
+	});
+	
+	it('Serializing typed values', function () {
+		var key = '_webStorage.typed.value';
+		var value = {
+			date: new Date(2015, 4, 1),
+			map: new Map([['a', new Date(0)]]),
+			set: new Set([1, 2]),
+			pattern: /^a.b$/gi,
+			missing: undefined,
+			items: [{ id: 1, $$hashKey: 'object:3' }]
+		};
+		var engines = ['local', 'session', 'memory'];
+		
+		for (var ith = 0; ith < engines.length; ++ith) {
+			var engine = webStorage[engines[ith]];
+			expect(engine.set(key, value)).toEqual(true);
+			var result = engine.get(key);
+			expect(result.date).toEqual(value.date);
+			expect(result.map.get('a')).toEqual(new Date(0));
+			expect(result.set.has(2)).toEqual(true);
+			expect(result.pattern.source).toEqual('^a.b$');
+			expect(result.pattern.flags).toEqual('gi');
+			expect(result.hasOwnProperty('missing')).toEqual(false);
+			expect(result.items).toEqual([{ id: 1 }]);
+			result.items.push(2);
+			expect(engine.get(key).items.length).toEqual(1);
+		}
+		
+		var serializer = {
+			stringify: function (data) { return 'x' + JSON.stringify(data); },
+			parse: function (str) { return JSON.parse(str.substr(1)); }
+		};
+		expect(webStorage.serializer({})).toEqual(false);
+		webStorage.serializer(serializer);
+		expect(webStorage.local.set(key, 1, { ttl: 60000 })).toEqual(true);
+		expect(localStorage.getItem(key).charAt(0)).toEqual('x');
+		expect(webStorage.local.get(key)).toEqual(1);
+		expect(webStorage.serializer(null)).toBe(serializer);
+	});
+	
+	it('Compressed values', function () {
+		var key = '_webStorage.compressed.value';
+		var value = [];
+		for (var ith = 0; ith < 200; ++ith) {
+			value.push({ id: ith, name: 'Report ' + (ith % 7), tags: ['åäö', '\ud83d\ude00'] });
+		}
+		
+		expect(webStorage.compression(-1)).toEqual(false);
+		expect(webStorage.compression(1024)).toEqual(false);
+		expect(webStorage.local.set(key, value)).toEqual(true);
+		expect(webStorage.local.set(key + '-small', { i: 12 })).toEqual(true);
+		expect(localStorage.getItem(key).length).toBeLessThan(JSON.stringify(value).length / 4);
+		expect(localStorage.getItem(key + '-small')).toEqual('{"i":12}');
+		expect(webStorage.local.get(key)).toEqual(value);
+		expect(webStorage.local.get(key + '-small')).toEqual({ i: 12 });
+		
+		expect(webStorage.compression(false)).toEqual(1024);
+		expect(webStorage.local.get(key)).toEqual(value);
+		expect(webStorage.local.set(key, value)).toEqual(true);
+		expect(localStorage.getItem(key)).toEqual(JSON.stringify(value));
+	});
+	
+	it('Encrypted storage interface', function (done) {
+		var key = '_webStorage.encrypted.value';
+		var value = { h: 11 };
+		var errors = [];
+		var first, second;
+		
+		if (!window.crypto || !window.crypto.subtle) {
+			return done();
+		}
+		$rootScope.$on(webStorage.errorName(), function (event, error) {
+			errors.push(error);
+		});
+		
+		var algorithm = { name: 'AES-GCM', length: 256 };
+		window.crypto.subtle.generateKey(algorithm, false, ['encrypt', 'decrypt']).then(function (cryptoKey) {
+			first = cryptoKey;
+			return window.crypto.subtle.generateKey(algorithm, false, ['encrypt', 'decrypt']);
+		}).then(function (cryptoKey) {
+			second = cryptoKey;
+			var encrypted = webStorage.encrypt('local', { keys: { v1: first } });
+			expect(encrypted.set(key, value)).toEqual(true);
+			expect(encrypted.get(key)).toEqual(value);
+			expect(encrypted.array.push(key + '-list', 1)).toEqual(1);
+			encrypted.flush().then(function () {
+				expect(localStorage.getItem(key)).not.toContain('"h"');
+				expect(JSON.parse(localStorage.getItem(key)).keyId).toEqual('v1');
+				return encrypted.rotateKey('v2', second);
+			}).then(function () {
+				expect(JSON.parse(localStorage.getItem(key)).keyId).toEqual('v2');
+				var rotated = webStorage.encrypt('local', { keys: { v2: second } });
+				return rotated.ready.then(function () {
+					expect(rotated.get(key)).toEqual(value);
+					expect(rotated.array.length(key + '-list')).toEqual(1);
+					return webStorage.encrypt('local', { keys: { v1: first } }).ready;
+				});
+			}).then(function () {
+				expect(errors.length).toEqual(2);
+			}).then(done, done.fail);
+			$rootScope.$digest();
+		}, done.fail);
+	});
+	
+	it('Encrypted storage before it is ready', function () {
+		var key = '_webStorage.encrypted.list';
+		var reverse = function (text) { return text.split('').reverse().join(''); };
+		var options = { keys: { v1: 'secret' }, cipher: { encrypt: reverse, decrypt: reverse } };
+		var errors = [];
+		
+		$rootScope.$on(webStorage.errorName(), function (event, error) {
+			errors.push(error);
+		});
+		var encrypted = webStorage.encrypt('local', options);
+		expect(encrypted.array.push(key, 1)).toEqual(1);
+		expect(encrypted.array.push(key, 2)).toEqual(2);
+		$rootScope.$digest();
+		
+		var reloaded = webStorage.encrypt('local', options);
+		expect(reloaded.get(key)).toEqual(null);
+		expect(reloaded.array.push(key, 3)).toEqual(false);
+		expect(errors.length).toBeGreaterThan(0);
+		expect(errors[0].code).toEqual('UNAVAILABLE');
+		$rootScope.$digest();
+		expect(reloaded.get(key)).toEqual([1, 2]);
+		expect(reloaded.array.push(key, 3)).toEqual(3);
+	});
+	
+	it('IndexedDB storage interface', function (done) {
+		var key = '_webStorage.idb.value';
+		var value = { g: 10 };
+		
+		if (!webStorage.idb.isSupported) {
+			return done();
+		}
+		
+		webStorage.idb.clear().then(function (result) {
+			expect(result).toEqual(true);
+			return webStorage.idb.set(key, value);
+		}).then(function (result) {
+			expect(result).toEqual(true);
+			return webStorage.idb.get(key);
+		}).then(function (result) {
+			expect(result).toEqual(value);
+			return webStorage.idb.usage();
+		}).then(function (result) {
+			expect(result.keys[key]).toEqual((key + '{"g":10}').length * 2);
+			return webStorage.idb.set(key + '-old', value, { ttl: -1 });
+		}).then(function () {
+			return webStorage.idb.length();
+		}).then(function (result) {
+			expect(result).toEqual(1);
+			return webStorage.idb.key(0);
+		}).then(function (result) {
+			expect(result).toEqual(key);
+			return webStorage.idb.remove(key);
+		}).then(function () {
+			return webStorage.idb.has(key);
+		}).then(function (result) {
+			expect(result).toEqual(false);
+			webStorage.order(['idb', 'memory']);
+			return webStorage.async.set(key, value);
+		}).then(function (result) {
+			expect(result).toEqual(true);
+			expect(webStorage.memory.has(key)).toEqual(false);
+			return webStorage.async.get(key);
+		}).then(function (result) {
+			expect(result).toEqual(value);
+			return webStorage.async.clear();
+		}).then(function (result) {
+			expect(result).toEqual(true);
+			return webStorage.async.has(key);
+		}).then(function (result) {
+			expect(result).toEqual(false);
+		}).then(done, done.fail);
+	});
+	
+	it('Asynchronous generic interface', function () {
+		var results = [];
+		var errors = [];
+		$rootScope.$on(webStorage.errorName(), function (event, error) {
+			errors.push(error);
+		});
+		var collect = function (result) {
+			results.push(result);
+		};
+		
+		webStorage.prefix('_async.');
+		webStorage.async.set('a', 1).then(collect);
+		$rootScope.$digest();
+		webStorage.async.set('b', 2, true).then(collect);
+		$rootScope.$digest();
+		webStorage.async.get('b').then(collect);
+		$rootScope.$digest();
+		webStorage.async.keys().then(collect);
+		$rootScope.$digest();
+		webStorage.async.remove('b').then(collect);
+		$rootScope.$digest();
+		webStorage.async.has('b').then(collect);
+		$rootScope.$digest();
+		expect(results).toEqual([true, true, 2, ['a', 'b'], true, false]);
+		
+		localStorage.setItem('_async.broken', '{');
+		webStorage.async.get('broken').then(collect, function (error) {
+			results.push([error.code, error.operation, error.engine, error.key]);
+		});
+		$rootScope.$digest();
+		expect(results.pop()).toEqual(['PARSE_ERROR', 'get', 'local', 'broken']);
+		expect(errors).toEqual([]);
+		webStorage.prefix('');
+	});
+	
+	it('Falling back when IndexedDB is unavailable', function () {
+		var descriptor = Object.getOwnPropertyDescriptor(window, 'indexedDB');
+		Object.defineProperty(window, 'indexedDB', {
+			configurable: true,
+			value: { open: function () { throw new Error('Blocked'); } }
+		});
+		var results = [];
+		var errors = [];
+		$rootScope.$on(webStorage.errorName(), function (event, error) {
+			errors.push(error);
+		});
+		webStorage.idb.isSupported = true;
+		webStorage.order(['idb', 'local']);
+		
+		webStorage.async.set('_idb.fallback', 1).then(function (result) {
+			results.push(result);
+		});
+		$rootScope.$digest();
+		expect(results).toEqual([true]);
+		expect(errors).toEqual([]);
+		expect(webStorage.idb.isSupported).toEqual(false);
+		expect(webStorage.local.get('_idb.fallback')).toEqual(1);
+		
+		if (descriptor) {
+			Object.defineProperty(window, 'indexedDB', descriptor);
+		} else {
+			delete window.indexedDB;
+		}
+		webStorage.order(['local', 'session', 'memory']);
+	});
+	
+	it('Storage usage', function () {
+		localStorage.setItem('unrelated', 'value');
+		webStorage.prefix('_usage.');
+		expect(webStorage.local.set('a', 'bc')).toEqual(true);
+		expect(webStorage.session.set('a', 1)).toEqual(true);
+		
+		var report = webStorage.local.usage();
+		expect(report.keys).toEqual({ a: ('_usage.a"bc"').length * 2 });
+		expect(report.used).toEqual(report.keys.a);
+		expect(report.remaining).toEqual(null);
+		
+		localStorage.setItem('_usage.webStorage.test.key', 'webStorage.test.key');
+		report = webStorage.usage();
+		expect(report.used).toEqual(report.engines.local.used + report.engines.session.used);
+		expect(report.engines.local.keys).toEqual({ a: ('_usage.a"bc"').length * 2 });
+		expect(report.engines.session.keys).toEqual({ a: ('_usage.a1').length * 2 });
+		expect(report.remaining).toEqual(null);
+		localStorage.removeItem('_usage.webStorage.test.key');
+		expect(webStorage.local.get('a')).toEqual('bc');
+		expect(webStorage.local.length()).toEqual(1);
+		webStorage.prefix('');
+		localStorage.removeItem('unrelated');
+	});
+	
+	it('Enumerating keys with the current prefix', function () {
+		var seen = [];
+		localStorage.setItem('unrelated', 'value');
+		webStorage.prefix('_enum.');
+		expect(webStorage.local.set('a', 1)).toEqual(true);
+		expect(webStorage.local.set('b', { c: 2 })).toEqual(true);
+		expect(webStorage.session.set('d', 3)).toEqual(true);
+		
+		expect(webStorage.local.length()).toEqual(2);
+		expect(webStorage.local.key(0)).toEqual('a');
+		expect(webStorage.local.key(2)).toEqual(null);
+		expect(webStorage.local.keys()).toEqual(['a', 'b']);
+		expect(webStorage.local.values()).toEqual([1, { c: 2 }]);
+		expect(webStorage.local.entries()).toEqual([['a', 1], ['b', { c: 2 }]]);
+		webStorage.local.forEach(function (value, key) { seen.push(key + '=' + angular.toJson(value)); });
+		expect(seen).toEqual(['a=1', 'b={"c":2}']);
+		
+		expect(webStorage.keys(false)).toEqual(['a', 'b']);
+		expect(webStorage.keys()).toEqual(['a', 'b', 'd']);
+		expect(webStorage.values()).toEqual([1, { c: 2 }, 3]);
+		expect(webStorage.entries(false)).toEqual([['a', 1], ['b', { c: 2 }]]);
+		expect(webStorage.length(true)).toEqual(2);
+		
+		var ns = webStorage.namespace('ns');
+		expect(ns.keys()).toEqual([]);
+		expect(ns.set('e', 4)).toEqual(true);
+		expect(ns.keys()).toEqual(['e']);
+		expect(ns.local.entries()).toEqual([['e', 4]]);
+		expect(webStorage.local.keys()).toEqual(['a', 'b', 'ns.e']);
+		
+		ns.clear(true);
+		webStorage.prefix('');
+		expect(localStorage.getItem('unrelated')).toEqual('value');
+		localStorage.removeItem('unrelated');
+	});
+	
+	it('Structured errors and strict mode', function () {
+		var errors = [];
+		$rootScope.$on(webStorage.errorName(), function (event, error) {
+			errors.push(error);
+		});
+		webStorage.prefix('_errors.');
+		localStorage.setItem('_errors.broken', '{');
+		
+		expect(webStorage.local.get('broken')).toEqual(null);
+		expect(errors.length).toEqual(1);
+		expect(errors[0] instanceof Error).toEqual(true);
+		expect(errors[0].name).toEqual('WebStorageError');
+		expect(errors[0].code).toEqual('PARSE_ERROR');
+		expect(errors[0].operation).toEqual('get');
+		expect(errors[0].engine).toEqual('local');
+		expect(errors[0].key).toEqual('broken');
+		expect(errors[0].cause instanceof SyntaxError).toEqual(true);
+		
+		expect(webStorage.strict('yes')).toEqual(undefined);
+		expect(webStorage.strict(true)).toEqual(false);
+		var thrown = null;
+		try {
+			webStorage.get('broken');
+		} catch (e) {
+			thrown = e;
+		}
+		expect(thrown.code).toEqual('PARSE_ERROR');
+		expect(thrown.engine).toEqual('local');
+		expect(errors.length).toEqual(1);
+		expect(webStorage.strict(false)).toEqual(true);
+		
+		localStorage.removeItem('_errors.broken');
+		webStorage.prefix('');
+	});
+	
+	it('Cookie storage interface', function () {
+		document.cookie = 'unrelated=value; path=/';
+		webStorage.prefix('_cookie.');
+		expect(webStorage.engines()).toContain('cookie');
+		expect(webStorage.cookie.isSupported).toEqual(true);
+		expect(webStorage.cookieOptions('bogus')).toEqual(false);
+		expect(webStorage.cookieOptions({ sameSite: 'Strict' }).sameSite).toEqual('Lax');
+		
+		expect(webStorage.cookie.set('a', { b: [1, 2] })).toEqual(true);
+		expect(webStorage.cookie.set('c', 'd; e=f', { session: true })).toEqual(true);
+		expect(webStorage.cookie.get('a')).toEqual({ b: [1, 2] });
+		expect(webStorage.cookie.get('c')).toEqual('d; e=f');
+		expect(webStorage.cookie.keys()).toEqual(['a', 'c']);
+		expect(webStorage.cookie.length()).toEqual(2);
+		expect(document.cookie).toContain('webStorage.cookie._cookie.a=');
+		expect(document.cookie).toContain('webStorage.cookie-session._cookie.c=');
+		
+		expect(webStorage.cookie.set('c', 'g')).toEqual(true);
+		expect(document.cookie).not.toContain('webStorage.cookie-session.');
+		expect(webStorage.cookie.get('c')).toEqual('g');
+		expect(webStorage.local.keys()).toEqual([]);
+		
+		expect(webStorage.cookie.remove('a')).toEqual(true);
+		expect(webStorage.cookie.keys()).toEqual(['c']);
+		expect(webStorage.cookie.clear()).toEqual(true);
+		expect(webStorage.cookie.length()).toEqual(0);
+		expect(document.cookie).toEqual('unrelated=value');
+		
+		webStorage.cookieOptions({ sameSite: 'Lax' });
+		webStorage.prefix('');
+		document.cookie = 'unrelated=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/';
+	});
+	
+	it('Splitting large cookie values', function () {
+		var errors = [];
+		$rootScope.$on(webStorage.errorName(), function (event, error) {
+			errors.push(error);
+		});
+		var large = new Array(3001).join('åäö; ');
+		webStorage.prefix('_chunks.');
+		
+		expect(webStorage.cookie.set('large', large)).toEqual(true);
+		expect(webStorage.cookie.get('large')).toEqual(large);
+		expect(webStorage.cookie.keys()).toEqual(['large']);
+		expect(document.cookie).toContain('webStorage.cookie._chunks.large=~chunks~');
+		expect(document.cookie).toContain('webStorage.cookie._chunks.large#2=');
+		expect(webStorage.cookie.set('large', '~chunks~1')).toEqual(true);
+		expect(webStorage.cookie.get('large')).toEqual('~chunks~1');
+		expect(webStorage.cookie.set('large', 'small')).toEqual(true);
+		expect(document.cookie).not.toContain('#');
+		
+		webStorage.cookieOptions({ maxCookies: 4 });
+		expect(webStorage.cookie.set('large', large)).toEqual(false);
+		expect(errors.length).toEqual(1);
+		expect(errors[0].code).toEqual('QUOTA_EXCEEDED');
+		expect(errors[0].message).toContain('cookie budget of 4 cookies');
+		expect(webStorage.cookie.get('large')).toEqual('small');
+		
+		webStorage.cookieOptions({ maxCookies: 50 });
+		expect(webStorage.cookie.set('large', large)).toEqual(true);
+		expect(webStorage.cookie.clear()).toEqual(true);
+		expect(document.cookie).toEqual('');
+		webStorage.prefix('');
+	});
+	
+	it('Refused cookies', function () {
+		var errors = [];
+		$rootScope.$on(webStorage.errorName(), function (event, error) {
+			errors.push(error);
+		});
+		webStorage.prefix('_refused.');
+		var previousPolicy = webStorage.evictionPolicy('lru');
+		
+		expect(webStorage.cookie.set('kept', 1)).toEqual(true);
+		expect(webStorage.cookie.set('foreign', 2, { domain: 'example.com' })).toEqual(false);
+		expect(errors.length).toEqual(1);
+		expect(errors[0].code).toEqual('COOKIE_REFUSED');
+		expect(webStorage.cookie.get('kept')).toEqual(1);
+		expect(webStorage.cookie.has('foreign')).toEqual(false);
+		
+		expect(webStorage.cookie.clear()).toEqual(true);
+		webStorage.evictionPolicy(previousPolicy);
+		webStorage.prefix('');
+	});
+	
+	it('Transactions', function () {
+		var items = {};
+		var adapter = {
+			getItem: function (key) { return items.hasOwnProperty(key) ? items[key] : null; },
+			setItem: function (key, value) {
+				if (/fail$/.test(key)) {
+					var error = new Error('Disk full');
+					error.name = 'QuotaExceededError';
+					throw error;
+				}
+				items[key] = value;
+			},
+			removeItem: function (key) { delete items[key]; },
+			key: function (index) { return Object.keys(items)[index] || null; },
+			length: function () { return Object.keys(items).length; }
+		};
+		var changes = [];
+		var errors = [];
+		$rootScope.$on(webStorage.changeEventName(), function (event, change) { changes.push(change.key); });
+		$rootScope.$on(webStorage.errorName(), function (event, error) { errors.push(error); });
+		
+		var flaky = webStorage.registerEngine('flaky', adapter);
+		webStorage.order(['flaky']);
+		webStorage.prefix('_tx.');
+		expect(flaky.set('total', 1)).toEqual(true);
+		changes = [];
+		
+		expect(webStorage.transaction(function (tx) {
+			tx.set('cart', ['a']);
+			tx.set('total', 2);
+			expect(tx.get('total')).toEqual(2);
+			expect(changes).toEqual([]);
+		})).toEqual(true);
+		expect(changes).toEqual(['cart', 'total']);
+		
+		expect(webStorage.transaction(function (tx) {
+			tx.set('total', 3);
+			tx.remove('cart');
+			tx.set('fail', 1);
+		})).toEqual(false);
+		expect(flaky.get('total')).toEqual(2);
+		expect(flaky.get('cart')).toEqual(['a']);
+		expect(flaky.keys()).toEqual(['total', 'cart']);
+		expect(changes.length).toEqual(2);
+		expect(errors.length).toEqual(1);
+		expect(errors[0].code).toEqual('QUOTA_EXCEEDED');
+		expect(errors[0].key).toEqual('fail');
+		
+		expect(webStorage.transaction(function (tx) {
+			tx.set('total', 4);
+			throw new Error('Oops');
+		})).toEqual(false);
+		expect(flaky.get('total')).toEqual(2);
+		expect(errors[1].operation).toEqual('transaction');
+		
+		var ns = webStorage.namespace('ns');
+		expect(ns.transaction(function (tx) { tx.set('x', 5); })).toEqual(true);
+		expect(ns.get('x')).toEqual(5);
+		expect(items['_tx.ns.x']).toEqual('5');
+		
+		webStorage.order(['local', 'session', 'memory']);
+		webStorage.prefix('');
+	});
+	
+	it('Persisting form inputs', inject(function ($compile, $timeout) {
+		webStorage.session.set('search.q', 'stored');
+		webStorage.session.set('secret', 'stored');
+		var scope = $rootScope.$new();
+		var form = $compile('<form>' +
+			'<input name="q" ng-model="search.q" webstorage-model webstorage-engine="session" webstorage-clear-on-submit>' +
+			'<input name="p" type="password" ng-model="secret" webstorage-model="secret">' +
+			'</form>')(scope);
+		scope.$digest();
+		expect(scope.search.q).toEqual('stored');
+		expect(form.find('input').eq(0).val()).toEqual('stored');
+		expect(scope.secret).toBeUndefined();
+		
+		form.find('input').eq(0).val('typed').triggerHandler('input');
+		expect(webStorage.session.get('search.q')).toEqual('stored');
+		$timeout.flush(250);
+		expect(webStorage.session.get('search.q')).toEqual('typed');
+		
+		form.find('input').eq(1).val('hunter2').triggerHandler('input');
+		$timeout.verifyNoPendingTasks();
+		expect(webStorage.session.get('secret')).toEqual('stored');
+		
+		form.find('input').eq(0).val('submitted').triggerHandler('input');
+		form[0].dispatchEvent(new Event('submit'));
+		$timeout.verifyNoPendingTasks();
+		expect(webStorage.session.has('search.q')).toEqual(false);
+		
+		form.find('input').eq(0).val('pending').triggerHandler('input');
+		scope.$destroy();
+		expect(webStorage.session.get('search.q')).toEqual('pending');
+		webStorage.session.clear();
+	}));
+	
+	it('Persistent $http caches', inject(function ($http, $httpBackend) {
+		var cache = webStorage.cacheFactory('api', {engine: 'session', capacity: 2});
+		expect(webStorage.cacheFactory('api')).toEqual(false);
+		expect(webStorage.cacheFactory.get('api')).toBe(cache);
+		
+		var responses = 0;
+		$httpBackend.expectGET('/items').respond(200, ['a', 'b']);
+		$http.get('/items', {cache: cache}).then(function (response) { responses += response.data.length; });
+		$http.get('/items', {cache: cache}).then(function (response) { responses += response.data.length; });
+		$httpBackend.flush();
+		$httpBackend.verifyNoOutstandingExpectation();
+		expect(responses).toEqual(4);
+		expect(cache.get('/items')[1]).toEqual(['a', 'b']);
+		expect(webStorage.session.keys()).toEqual(['webStorage.cache.api./items']);
+		
+		cache.put('x', 1);
+		cache.get('/items');
+		cache.put('y', 2);
+		expect(cache.get('x')).toBeUndefined();
+		expect(cache.info()).toEqual({id: 'api', size: 2, engine: 'session', capacity: 2});
+		
+		cache.remove('y');
+		expect(cache.info().size).toEqual(1);
+		cache.destroy();
+		expect(webStorage.session.length()).toEqual(0);
+		expect(webStorage.cacheFactory.get('api')).toBeUndefined();
+	}));
+	
+	it('Replaying queued requests', inject(function (webStorageQueue, $httpBackend, $timeout, $window) {
+		var online = false;
+		Object.defineProperty($window.navigator, 'onLine', {configurable: true, get: function () { return online; }});
+		var queued = [];
+		var onQueued = function (response) { queued.push(response.queued); };
+		
+		webStorageQueue.send({method: 'POST', url: '/forms', data: {id: 1}}).then(null, onQueued);
+		webStorageQueue.send({method: 'POST', url: '/forms', data: {id: 2}}).then(null, onQueued);
+		webStorageQueue.send({method: 'POST', url: '/forms', data: {id: 3}}).then(null, onQueued);
+		$rootScope.$digest();
+		expect(queued).toEqual([true, true, true]);
+		expect(webStorageQueue.length()).toEqual(3);
+		expect(webStorage.local.get('webStorageQueue.requests')[0].config.data).toEqual({id: 1});
+		
+		online = true;
+		webStorageQueue.maxAttempts(2);
+		$httpBackend.expectPOST('/forms', {id: 1}).respond(201);
+		$httpBackend.expectPOST('/forms', {id: 2}).respond(503);
+		$window.dispatchEvent(new Event('online'));
+		$httpBackend.flush();
+		expect(webStorageQueue.length()).toEqual(2);
+		expect(webStorageQueue.requests()[0].attempts).toEqual(1);
+		
+		$httpBackend.expectPOST('/forms', {id: 2}).respond(503);
+		$httpBackend.expectPOST('/forms', {id: 3}).respond(400);
+		$timeout.flush(1000);
+		$httpBackend.flush();
+		$httpBackend.verifyNoOutstandingExpectation();
+		expect(webStorageQueue.length()).toEqual(0);
+		expect(webStorageQueue.deadLetters().map(function (request) { return [request.config.data.id, request.status]; })).toEqual([[2, 503], [3, 400]]);
+		expect(webStorageQueue.clearDeadLetters()).toEqual(true);
+		expect(webStorageQueue.deadLetters()).toEqual([]);
+		
+		$httpBackend.expectPOST('/forms', {id: 4}).respond(503);
+		webStorageQueue.send({method: 'POST', url: '/forms', data: {id: 4}}).then(null, onQueued);
+		$httpBackend.flush();
+		expect(queued.pop()).toEqual(true);
+		expect(webStorageQueue.length()).toEqual(1);
+		$httpBackend.expectPOST('/forms', {id: 4}).respond(201);
+		$timeout.flush(1000);
+		$httpBackend.flush();
+		expect(webStorageQueue.length()).toEqual(0);
+		
+		online = false;
+		webStorageQueue.send({method: 'POST'}).then(null, onQueued);
+		$rootScope.$digest();
+		expect(queued.pop()).toEqual(false);
+		delete $window.navigator.onLine;
+	}));
+	
+	it('Array utilities', function () {
+		var key = '_webStorage.array.value';
+		
+		expect(webStorage.array.push(key, {id: 1})).toEqual(1);
+		expect(webStorage.array.push(key, {id: 2})).toEqual(2);
+		expect(webStorage.array.push(key, {id: 3}, {maxLength: 2})).toEqual(2);
+		expect(webStorage.get(key)).toEqual([{id: 2}, {id: 3}]);
+		expect(webStorage.array.at(key, -1)).toEqual({id: 3});
+		expect(webStorage.array.at(key, 5)).toBeUndefined();
+		expect(webStorage.array.indexOf(key, {id: 3})).toEqual(1);
+		expect(webStorage.array.includes(key, {id: 1})).toEqual(false);
+		expect(webStorage.array.splice(key, 1, 0, {id: 4}, {id: 5})).toEqual([]);
+		expect(webStorage.array.find(key, function (item) { return item.id > 3; })).toEqual({id: 4});
+		expect(webStorage.array.filter(key, function (item, index) { return index % 2 === 0; })).toEqual([{id: 2}, {id: 5}]);
+		expect(webStorage.array.updateWhere(key, function (item) { return item.id === 4; }, function (item) {
+			return {id: item.id, seen: true};
+		})).toEqual(1);
+		expect(webStorage.array.removeWhere(key, function (item) { return !item.seen; })).toEqual(3);
+		expect(webStorage.array.removeWhere(key, function () { return false; })).toEqual(0);
+		expect(webStorage.session.array.filter(key, angular.identity)).toEqual([]);
+		expect(webStorage.get(key)).toEqual([{id: 4, seen: true}]);
+		expect(webStorage.array.clear(key)).toEqual(true);
+		expect(webStorage.has(key)).toEqual(false);
+	});
+	
+	it('Object utilities', function () {
+		var key = '_webStorage.object.value';
+		
+		expect(webStorage.object.getPath(key, 'a.b', 'none')).toEqual('none');
+		expect(webStorage.object.setPath(key, 'a.b.c', 1)).toEqual(true);
+		expect(webStorage.object.getPath(key, 'a.b.c')).toEqual(1);
+		expect(webStorage.object.getPath(key, ['a', 'b'])).toEqual({c: 1});
+		expect(webStorage.object.merge(key, {a: {b: {d: 2}, list: [1, 2]}, e: 3})).toEqual(true);
+		expect(webStorage.get(key)).toEqual({a: {b: {c: 1, d: 2}, list: [1, 2]}, e: 3});
+		expect(webStorage.object.deletePath(key, 'a.b.c')).toEqual(true);
+		expect(webStorage.object.deletePath(key, 'a.list.0')).toEqual(true);
+		expect(webStorage.object.setPath(key, 'e.f', 4)).toEqual(false);
+		expect(webStorage.get(key)).toEqual({a: {b: {d: 2}, list: [2]}, e: 3});
+		
+		expect(webStorage.local.object.patch(key, [
+			{op: 'test', path: '/e', value: 3},
+			{op: 'add', path: '/a/list/-', value: 3},
+			{op: 'replace', path: '/e', value: 'x'},
+			{op: 'move', from: '/a/b', path: '/b~1c'},
+			{op: 'copy', from: '/a/list', path: '/copy'},
+			{op: 'remove', path: '/a/list/0'}
+		])).toEqual(true);
+		expect(webStorage.get(key)).toEqual({a: {list: [3]}, e: 'x', 'b/c': {d: 2}, copy: [2, 3]});
+		expect(webStorage.local.object.patch(key, [
+			{op: 'remove', path: '/e'},
+			{op: 'test', path: '/a/list/0', value: 4}
+		])).toEqual(false);
+		expect(webStorage.local.object.patch(key, [{op: 'remove', path: '/missing'}])).toEqual(false);
+		expect(webStorage.object.getPath(key, 'e')).toEqual('x');
+		
+		expect(webStorage.object.setPath(key, '__proto__.isAdmin', true)).toEqual(false);
+		expect(webStorage.object.setPath(key, ['constructor', 'prototype', 'isAdmin'], true)).toEqual(false);
+		expect(webStorage.object.setPath(key, 'toString.isAdmin', true)).toEqual(true);
+		expect(webStorage.object.deletePath(key, '__proto__.toString')).toEqual(false);
+		expect(webStorage.object.merge(key, JSON.parse('{"__proto__": {"isAdmin": true}}'))).toEqual(true);
+		expect(webStorage.local.object.patch(key, [{op: 'add', path: '/__proto__', value: {isAdmin: true}}])).toEqual(false);
+		expect({}.isAdmin).toBeUndefined();
+		expect(angular.isFunction({}.toString)).toEqual(true);
+		expect(Object.getPrototypeOf(webStorage.get(key))).toBe(Object.prototype);
+		expect(webStorage.object.getPath(key, 'toString.isAdmin')).toEqual(true);
+	});
+	
+	it('Broadcasting changes', function () {
+		var changes = [];
+		$rootScope.$on(webStorage.changeEventName(), function (event, change) {
+			changes.push(change);
+		});
+		webStorage.prefix('_change.');
+		
+		expect(webStorage.local.set('a', 1)).toEqual(true);
+		expect(webStorage.local.set('a', { b: 2 })).toEqual(true);
+		expect(webStorage.memory.array.push('list', 3)).toEqual(1);
+		expect(webStorage.local.remove('a')).toEqual(true);
+		expect(webStorage.local.remove('a')).toEqual(true);
+		expect(webStorage.memory.clear()).toEqual(true);
+		
+		expect(changes).toEqual([
+			{ type: 'set', engine: 'local', key: 'a', oldValue: null, newValue: 1, prefix: '_change.' },
+			{ type: 'set', engine: 'local', key: 'a', oldValue: 1, newValue: { b: 2 }, prefix: '_change.' },
+			{ type: 'set', engine: 'memory', key: 'list', oldValue: null, newValue: [3], prefix: '_change.' },
+			{ type: 'remove', engine: 'local', key: 'a', oldValue: { b: 2 }, newValue: null, prefix: '_change.' },
+			{ type: 'clear', engine: 'memory', key: null, oldValue: null, newValue: null, prefix: '_change.', keys: ['list'] }
+		]);
+		
+		expect(webStorage.changeEventName('_change.event')).toEqual('webStorage.notification.change');
+		expect(webStorage.changeEventName(1)).toEqual(false);
+		expect(webStorage.session.set('c', 4)).toEqual(true);
+		expect(changes.length).toEqual(5);
+		webStorage.prefix('');
+	});
+});
+
+describe('Web Storage Provider', function () {
+	var webStorage;
+	
+	beforeEach(module('webStorageModule', function (webStorageProvider) {
+		webStorageProvider
+			.setPrefix('_provider.')
+			.setOrder(['session', 'bogus', 'memory'])
+			.setErrorName('_provider.error')
+			.setEvictionEventName('_provider.evicted')
+			.setCompression(2048)
+			.setTestKey('_provider.test.key');
+	}));
+	
+	beforeEach(inject(function (_webStorage_) {
+		webStorage = _webStorage_;
+		webStorage.clear(true);
+	}));
+	
+	it('Configured settings', function () {
+		expect(webStorage.prefix()).toEqual('_provider.');
+		expect(webStorage.order()).toEqual(['session', 'memory']);
+		expect(webStorage.errorName()).toEqual('_provider.error');
+		expect(webStorage.evictionEventName()).toEqual('_provider.evicted');
+		expect(webStorage.compression()).toEqual(2048);
+		expect(webStorage.set('key', 1)).toEqual(true);
+		expect(sessionStorage.getItem('_provider.key')).toEqual('1');
+		expect(webStorage.local.has('key')).toEqual(false);
+	});
+});
+
+describe('Web Storage Migrations', function () {
+	beforeEach(function () {
+		localStorage.clear();
+		localStorage.setItem('_migrate.user', '"Ada"');
+		localStorage.setItem('_migrate.obsolete', '1');
+	});
+	
+	beforeEach(module('webStorageModule', function (webStorageProvider) {
+		webStorageProvider
+			.setPrefix('_migrate.')
+			.setOrder(['local'])
+			.version(2, 'quarantine')
+			.registerMigration(0, function (value, key) {
+				return key === 'obsolete' ? undefined : { name: value };
+			})
+			.registerMigration(1, function (value) {
+				if (value.name === 'Eve') {
+					throw new Error('Unknown user');
+				}
+				value.admin = false;
+				return value;
+			});
+	}));
+	
+	it('Migrating stored data', inject(function (webStorage) {
+		expect(webStorage.version()).toEqual(2);
+		expect(webStorage.get('user')).toEqual({ name: 'Ada', admin: false });
+		expect(webStorage.has('obsolete')).toEqual(false);
+		expect(localStorage.getItem('_migrate.webStorage.version')).toEqual('2');
+		expect(webStorage.clear()).toEqual(true);
+		expect(localStorage.getItem('_migrate.webStorage.version')).toEqual('2');
+	}));
+	
+	it('Quarantining data that failed to migrate', function () {
+		localStorage.setItem('_migrate.user', '"Eve"');
+		inject(function (webStorage) {
+			expect(webStorage.has('user')).toEqual(false);
+			expect(webStorage.get('webStorage.quarantine')).toEqual({
+				version: 0,
+				values: { user: '"Eve"', obsolete: '1' }
+			});
+			expect(localStorage.getItem('_migrate.webStorage.version')).toEqual('2');
+		});
+		localStorage.clear();
+	});
+	
+	it('Migrating next to foreign data', function () {
+		localStorage.setItem('otherApp.token', 'abc-not-json');
+		module(function (webStorageProvider) {
+			webStorageProvider.setPrefix('');
+		});
+		inject(function (webStorage) {
+			expect(webStorage.get('_migrate.user')).toEqual({ name: 'Ada', admin: false });
+			expect(localStorage.getItem('otherApp.token')).toEqual('abc-not-json');
+			expect(localStorage.getItem('webStorage.version')).toEqual('2');
+		});
+		localStorage.clear();
+	});
+	
+	it('Quarantining next to foreign data', function () {
+		localStorage.setItem('_migrate.user', '"Eve"');
+		localStorage.setItem('otherApp.token', 'abc-not-json');
+		module(function (webStorageProvider) {
+			webStorageProvider.setPrefix('');
+		});
+		inject(function (webStorage) {
+			expect(webStorage.get('webStorage.quarantine').values).toEqual({
+				'_migrate.user': '"Eve"',
+				'_migrate.obsolete': '1'
+			});
+			expect(localStorage.getItem('_migrate.user')).toEqual('"Eve"');
+			expect(localStorage.getItem('otherApp.token')).toEqual('abc-not-json');
+			expect(localStorage.getItem('webStorage.version')).toEqual('2');
+		});
+		localStorage.clear();
+	});
+});